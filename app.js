@@ -0,0 +1,228 @@
+// The app factory: security middleware, sessions and CSRF around the routers in routes/.
+// index.js serves the default app; tests and other hosts call createApp() with their own options.
+import express from "express";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import bodyParser from "body-parser";
+import mongoose from "mongoose";
+import helmet from "helmet";
+import cors from "cors";
+import session from "express-session";
+import MongoStore from "connect-mongo";
+import User from "./models/User.js";
+import { createStorage } from "./repositories/storage.js";
+import { createAccountEmails } from "./utils/accountEmails.js";
+import { imageSrcset } from "./utils/images.js";
+import { csrfProtection } from "./utils/csrf.js";
+import { isMongoConnected, onMongoConnected, connectToMongoDB, disconnectFromMongoDB } from "./utils/database.js";
+import { markdownToPlainText } from "./utils/markdown.js";
+import { unescapeInput } from "./utils/sanitize.js";
+import { siteUrl } from "./utils/feeds.js";
+import { absoluteUrl } from "./utils/seo.js";
+import { postPath } from "./utils/slugs.js";
+import { createUploadStorage } from "./utils/uploadStorage.js";
+import { createRateLimiters } from "./utils/rateLimits.js";
+import { createAuthRouter } from "./routes/auth.js";
+import { createAccountRouter } from "./routes/account.js";
+import { createCommentsRouter } from "./routes/comments.js";
+import { createAdminRouter } from "./routes/admin.js";
+import { createFeedsRouter } from "./routes/feeds.js";
+import { createMediaRouter } from "./routes/media.js";
+import { createPostsRouter } from "./routes/posts.js";
+import { createSeoRouter } from "./routes/seo.js";
+import { createApiRouter } from "./routes/api.js";
+import { apiErrorHandler } from "./routes/middleware.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Scheduled publishing: flip scheduled posts whose publishAt has passed to published
+const schedulerInterval = 60000; // 1 minute
+
+// Media sweep: delete uploads nothing has used for MEDIA_SWEEP_GRACE_HOURS
+const MEDIA_SWEEP_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+
+// Re-read role, suspension and two-factor status of signed-in users every minute so admin changes reach live sessions
+const SESSION_REFRESH_INTERVAL = 60 * 1000;
+
+// Options default to the environment (see README):
+// - mongoUri: MongoDB connection string; without one the app runs in fallback mode
+// - sessionSecret, sessionStore: express-session settings; the store defaults to MongoDB when mongoUri is set
+// - offlineStore: where fallback-mode posts are saved (utils/offlineStore.js)
+// - mailer: account email transport (utils/mailer.js)
+// - uploadStorage: where uploaded images are kept (utils/uploadStorage.js)
+// - scheduler: false to skip the scheduled-publishing and media sweep timers
+// The returned app carries databaseReady (settles once the first connection attempt has) and shutdown().
+export async function createApp({
+  mongoUri = process.env.MONGODB_URI,
+  sessionSecret = process.env.SESSION_SECRET || 'your-fallback-secret-key-change-in-production',
+  sessionStore,
+  offlineStore,
+  mailer,
+  uploadStorage = createUploadStorage(),
+  scheduler = true
+} = {}) {
+  const app = express();
+  const limiters = createRateLimiters();
+  const storage = await createStorage({ offlineStore });
+  const accountEmails = createAccountEmails(mailer);
+
+  // Trust proxy for Render deployment
+  app.set('trust proxy', 1);
+
+  // Security middleware
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+        fontSrc: ["'self'", "https://fonts.gstatic.com"],
+        imgSrc: ["'self'"], // remote images are downloaded and served from /media, never hot-linked
+        scriptSrc: ["'self'", "'unsafe-inline'"],
+        connectSrc: ["'self'"]
+      }
+    }
+  }));
+
+  // CORS configuration
+  app.use(cors({
+    origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000'],
+    credentials: true
+  }));
+
+  // Apply rate limiting
+  app.use(limiters.generalLimiter);
+
+  // Basic middleware
+  app.use(express.static(join(__dirname, "public")));
+  app.use(bodyParser.urlencoded({ extended: true }));
+  app.use("/api", bodyParser.json({ limit: "100kb" })); // JSON bodies for the REST API only
+  app.use("/api", apiErrorHandler); // malformed or oversized JSON answers in JSON, not the HTML error page
+  app.set("view engine", "ejs");
+  app.locals.markdownToPlainText = markdownToPlainText; // plain-text previews in templates
+  app.locals.imageSrcset = imageSrcset; // responsive variants of uploaded images
+  app.locals.postPath = postPath; // /posts/<slug> links
+  app.locals.unescapeInput = unescapeInput; // stored titles and excerpts as plain text for meta tags
+  app.locals.absoluteUrl = absoluteUrl;
+  app.set("views", join(__dirname, "views"));
+
+  // Session configuration
+  const sessionConfig = {
+    secret: sessionSecret,
+    resave: false,
+    saveUninitialized: false,
+    proxy: true, // Trust the first proxy when secure: true
+    cookie: {
+      secure: process.env.NODE_ENV === 'production', // Use secure cookies in production with proxy trust
+      httpOnly: true, // Prevent XSS attacks via document.cookie
+      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
+      sameSite: 'lax' // CSRF protection
+    }
+  };
+
+  // Add MongoDB session store if available; a store passed in is left for its owner to close
+  let ownedSessionStore = null;
+  if (sessionStore) {
+    sessionConfig.store = sessionStore;
+  } else if (mongoUri) {
+    try {
+      ownedSessionStore = MongoStore.create({
+        mongoUrl: mongoUri,
+        collectionName: 'sessions',
+        touchAfter: 24 * 3600, // lazy session update
+        ttl: 7 * 24 * 60 * 60 // 7 days session expiry
+      });
+      sessionConfig.store = ownedSessionStore;
+      console.log('🗄️ Using MongoDB session store');
+    } catch (error) {
+      console.warn('⚠️ MongoDB session store failed, using memory store:', error.message);
+    }
+  } else {
+    console.log('🗄️ Using memory session store');
+  }
+
+  app.use(session(sessionConfig));
+
+  app.use(async (req, res, next) => {
+    const sessionUser = req.session && req.session.user;
+    if (!sessionUser || !isMongoConnected || !mongoose.isValidObjectId(sessionUser.id)) return next();
+    if (Date.now() - (req.session.userCheckedAt || 0) < SESSION_REFRESH_INTERVAL) return next();
+
+    try {
+      const user = await User.findById(sessionUser.id, { role: 1, suspendedAt: 1, isVerified: 1, twoFactorEnabled: 1 });
+      if (!user || user.suspendedAt) {
+        console.log(`🚫 Signed out ${sessionUser.username}: account ${user ? 'suspended' : 'deleted'}`);
+        delete req.session.user;
+      } else {
+        sessionUser.role = user.role;
+        sessionUser.isVerified = user.isVerified;
+        sessionUser.twoFactorEnabled = user.twoFactorEnabled;
+        req.session.userCheckedAt = Date.now();
+      }
+    } catch (error) {
+      console.error('Session refresh error:', error);
+    }
+    next();
+  });
+
+  // Authentication middleware - add user to res.locals for templates
+  app.use((req, res, next) => {
+    // Ensure session exists
+    if (!req.session) {
+      req.session = {};
+    }
+
+    // Set authentication variables for templates
+    res.locals.user = req.session.user || null;
+    res.locals.isAuthenticated = !!req.session.user;
+    res.locals.siteUrl = siteUrl(req); // canonical and Open Graph URLs
+
+    next();
+  });
+
+  // CSRF: every POST/PATCH/DELETE must echo the session's token (hidden _csrf field or X-CSRF-Token header)
+  function rejectInvalidCsrf(req, res) {
+    console.log(`⚠️ Rejected ${req.method} ${req.originalUrl}: missing or invalid CSRF token`);
+    const wantsJson = req.path.startsWith('/api') || req.accepts(['html', 'json']) === 'json';
+    if (wantsJson) {
+      return res.status(403).json({ error: "Invalid or missing CSRF token. Reload the page and try again." });
+    }
+    res.status(403).render("forbidden.ejs", {
+      title: "Form expired",
+      message: "This form was submitted without a valid security token, usually because the page was open for too long or you signed in elsewhere. Go back, reload the page and try again.",
+      selectedCategory: null
+    });
+  }
+
+  app.use(csrfProtection(rejectInvalidCsrf));
+
+  // Routes
+  app.use(createAuthRouter({ accountEmails, limiters }));
+  app.use(createAccountRouter({ storage, accountEmails, uploadStorage, limiters }));
+  app.use(createCommentsRouter({ storage }));
+  app.use(createAdminRouter({ storage, limiters }));
+  app.use(createMediaRouter({ uploadStorage, limiters }));
+  app.use(createFeedsRouter({ storage }));
+  app.use(createSeoRouter({ storage }));
+  app.use(createPostsRouter({ storage, uploadStorage, limiters }));
+  app.use("/api", createApiRouter({ storage, uploadStorage, limiters }));
+
+  // Writes made in offline mode are replayed into MongoDB after every (re)connection
+  const stopReplaying = onMongoConnected(storage.replayOfflineWrites);
+  const schedulerTimer = scheduler ? setInterval(storage.publishScheduledPosts, schedulerInterval).unref() : null;
+  const mediaSweepTimer = scheduler ? setInterval(() => storage.sweepMedia({ uploadStorage }), MEDIA_SWEEP_INTERVAL).unref() : null;
+
+  app.databaseReady = connectToMongoDB(mongoUri);
+
+  // Background timers are unref'd, so closing the database handles is all it takes to let the process exit
+  app.shutdown = async () => {
+    clearInterval(schedulerTimer);
+    clearInterval(mediaSweepTimer);
+    stopReplaying();
+    if (ownedSessionStore) {
+      await ownedSessionStore.close();
+    }
+    await disconnectFromMongoDB();
+  };
+
+  return app;
+}
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// Security-relevant actions (admin bootstrap, roles, suspensions, passwords, lockouts, two-factor, account
+// changes), offline replay results and upload sweeps, kept for review
+export const AUDIT_ACTIONS = [
+  'admin.created',
+  'user.role_changed',
+  'user.suspended',
+  'user.unsuspended',
+  'user.password_reset',
+  'user.locked',
+  'user.unlocked',
+  'login.burst',
+  'user.2fa_enabled',
+  'user.2fa_disabled',
+  'user.2fa_codes_regenerated',
+  'user.2fa_recovery_used',
+  'user.email_changed',
+  'user.password_changed',
+  'user.deleted',
+  'post.bulk_deleted',
+  'comment.bulk_deleted',
+  'offline.replayed',
+  'offline.conflict',
+  'media.swept'
+];
+
+const actorSchema = new mongoose.Schema({
+  userId: {
+    type: String, // String so the CLI and fallback-mode users can be recorded too
+    default: null
+  },
+  username: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true,
+    index: true
+  },
+  actor: actorSchema,
+  target: actorSchema,
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  source: {
+    type: String, // "web", "cli" or "system" (e.g. the offline replay)
+    default: 'web'
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { COMMENT_STATUSES } from '../utils/moderation.js';
 
 const commentSchema = new mongoose.Schema({
   postId: {
@@ -24,6 +25,34 @@ const commentSchema = new mongoose.Schema({
     trim: true,
     maxlength: 1000
   },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: COMMENT_STATUSES,
+    default: 'approved',
+    index: true
+  },
+  moderationReason: {
+    type: String, // why the comment was held back, shown in the moderation queue
+    default: null
+  },
+  moderatedBy: {
+    type: String,
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date, // set when a comment with replies is removed; the thread keeps a placeholder
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -35,8 +64,9 @@ const commentSchema = new mongoose.Schema({
 });
 
 // Update the updatedAt field before saving
+// New comments keep updatedAt equal to createdAt, so updatedAt > createdAt means "edited"
 commentSchema.pre('save', function(next) {
-  this.updatedAt = new Date();
+  this.updatedAt = this.isNew ? this.createdAt : new Date();
   next();
 });
 
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// One uploaded image: the variant files the pipeline wrote (utils/images.js) and what still uses them.
+// posts and avatarOf are kept current by utils/media.js; once both are empty the sweep may delete the files.
+const mediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  ownerName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  url: {
+    type: String, // the full-size variant, as stored in Post.featuredImage
+    required: true,
+    unique: true
+  },
+  variants: {
+    type: Map, // variant name -> URL
+    of: String,
+    default: {}
+  },
+  files: {
+    type: [String], // file names under the upload directory
+    index: true
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: 255,
+    default: ''
+  },
+  type: {
+    type: String, // MIME type of the original, from its magic bytes
+    default: null
+  },
+  size: {
+    type: Number, // bytes stored, all variants together
+    default: 0
+  },
+  width: { type: Number, default: null },
+  height: { type: Number, default: null },
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  avatarOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  unreferencedAt: {
+    type: Date, // when the last reference went away; the sweep waits a grace period after it
+    default: Date.now,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+mediaSchema.methods.isReferenced = function() {
+  return this.posts.length > 0 || !!this.avatarOf;
+};
+
+const Media = mongoose.model('Media', mediaSchema);
+
+export default Media;
@@ -1,4 +1,10 @@
 import mongoose from "mongoose";
+import { SEARCH_WEIGHTS } from "../utils/search.js";
+import { estimateReadingTime, buildExcerpt } from "../utils/markdown.js";
+import { slugCandidates } from "../utils/slugs.js";
+
+// Post lifecycle: draft -> scheduled -> published -> archived
+export const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
 
 const postSchema = new mongoose.Schema({
   title: { 
@@ -8,7 +14,7 @@ const postSchema = new mongoose.Schema({
     maxlength: 200
   },
   body: { 
-    type: String, 
+    type: String, // Markdown source, rendered with utils/markdown.js
     required: true,
     maxlength: 10000
   },
@@ -19,6 +25,8 @@ const postSchema = new mongoose.Schema({
     default: 'Daily Reflections',
     maxlength: 50
   },
+  slug: { type: String, trim: true }, // from the title, see utils/slugs.js; unset on posts not yet migrated
+  previousSlugs: { type: [String], default: [] }, // slugs from before a rename, which redirect to `slug`
   excerpt: {
     type: String,
     trim: true,
@@ -49,6 +57,14 @@ const postSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  status: {
+    type: String,
+    enum: POST_STATUSES,
+    default: 'published',
+    index: true
+  },
+  publishAt: { type: Date, default: null }, // when a scheduled post goes live
+  publishedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -57,18 +73,41 @@ const postSchema = new mongoose.Schema({
 postSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   
-  // Auto-calculate reading time (average 200 words per minute)
-  const wordCount = this.body.split(' ').length;
-  this.readingTime = Math.max(1, Math.ceil(wordCount / 200));
+  // Auto-calculate reading time (average 200 words per minute) from the rendered Markdown text
+  this.readingTime = estimateReadingTime(this.body);
+  
+  // Stamp the first time a post goes live
+  if (this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
   
   // Auto-generate excerpt if not provided
   if (!this.excerpt) {
-    this.excerpt = this.body.substring(0, 150) + '...';
+    this.excerpt = buildExcerpt(this.body);
   }
   
   next();
 });
 
+// Full-text search index used by /search and /api/v1/search
+postSchema.index(
+  { title: 'text', body: 'text', excerpt: 'text', tags: 'text' },
+  { name: 'post_text_search', weights: SEARCH_WEIGHTS }
+);
+
+// Slugs are unique across current and previous slugs, so an old link never lands on a different post
+postSchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+postSchema.index({ previousSlugs: 1 });
+
+// The first slug for `title` that no other post uses or used before a rename
+postSchema.statics.freeSlug = async function(title, exceptId = null) {
+  for (const candidate of slugCandidates(title)) {
+    const filter = { $or: [{ slug: candidate }, { previousSlugs: candidate }] };
+    if (exceptId) filter._id = { $ne: exceptId };
+    if (!await this.exists(filter)) return candidate;
+  }
+};
+
 const Post = mongoose.model("Post", postSchema);
 
 export default Post;
\ No newline at end of file
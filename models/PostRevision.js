@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Fields captured in every revision snapshot
+export const REVISION_FIELDS = ['title', 'body', 'category', 'excerpt', 'tags', 'featuredImage'];
+
+const postRevisionSchema = new mongoose.Schema({
+  postId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  author: {
+    username: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    userId: {
+      type: String, // String so fallback-mode users (e.g. offline-admin) can be recorded too
+      required: true
+    }
+  },
+  changedFields: [{
+    type: String
+  }],
+  restoredFrom: {
+    type: Number, // revision number this one was restored from, if any
+    default: null
+  },
+  snapshot: {
+    title: String,
+    body: String,
+    category: String,
+    excerpt: String,
+    tags: [String],
+    featuredImage: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+postRevisionSchema.index({ postId: 1, revision: -1 }, { unique: true });
+
+export default mongoose.model('PostRevision', postRevisionSchema);
@@ -1,5 +1,16 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
+import { verifyTotp, hashRecoveryCode } from '../utils/twoFactor.js';
+
+// Failed logins before an account locks; each further failure doubles the lock (1, 2, 4 ... minutes, at most a day)
+export const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+
+export function lockoutDuration(failures) {
+  if (failures < LOCKOUT_THRESHOLD) return 0;
+  return Math.min(LOCKOUT_BASE_MS * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+}
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -31,12 +42,62 @@ const userSchema = new mongoose.Schema({
   },
   isVerified: {
     type: Boolean,
-    default: true // Set to true for now, can implement email verification later
+    default: false // set by following the emailed verification link (admins created from the CLI start verified)
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  suspendedAt: {
+    type: Date, // suspended accounts cannot log in and their sessions are ended
+    default: null
+  },
+  commentsBannedAt: {
+    type: Date, // set by a moderator; banned users can no longer comment
+    default: null
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'Bio cannot exceed 500 characters'],
+    default: ''
+  },
+  avatarUrl: {
+    type: String, // /media/... URL of the uploaded avatar (/uploads/... for older ones)
+    default: null
   },
   lastLogin: {
     type: Date,
     default: null
   },
+  failedLoginAttempts: {
+    type: Number, // consecutive failures, reset by a successful login or an unlock
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String, // base32 TOTP secret, only set once enrollment is confirmed
+    default: null
+  },
+  twoFactorRecoveryCodes: {
+    type: [String], // SHA-256 hashes; a code is removed when used
+    default: []
+  },
+  twoFactorLastStep: {
+    type: Number, // TOTP time step of the last accepted code, so a code cannot be used twice
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -75,6 +136,93 @@ userSchema.methods.updateLastLogin = async function() {
   return await this.save();
 };
 
+userSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+// Count a failed login atomically (parallel guesses all count); resolves to true when this failure locked the account
+userSchema.methods.registerFailedLogin = async function() {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = updated.lastFailedLoginAt;
+
+  const duration = lockoutDuration(updated.failedLoginAttempts);
+  if (!duration) return false;
+
+  this.lockedUntil = new Date(Date.now() + duration);
+  await this.constructor.updateOne({ _id: this._id }, { $set: { lockedUntil: this.lockedUntil } });
+  return true;
+};
+
+userSchema.methods.unlock = async function() {
+  this.failedLoginAttempts = 0;
+  this.lockedUntil = null;
+  await this.constructor.updateOne({ _id: this._id }, { $set: { failedLoginAttempts: 0, lockedUntil: null } });
+};
+
+// confirmedStep is the time step of the code that confirmed enrollment, so it cannot be reused to sign in
+userSchema.methods.enableTwoFactor = async function(secret, recoveryCodes, confirmedStep = null) {
+  this.twoFactorEnabled = true;
+  this.twoFactorSecret = secret;
+  this.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  this.twoFactorLastStep = confirmedStep;
+  return await this.save();
+};
+
+userSchema.methods.disableTwoFactor = async function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = null;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastStep = null;
+  return await this.save();
+};
+
+userSchema.methods.replaceRecoveryCodes = async function(recoveryCodes) {
+  this.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  return await this.save();
+};
+
+// Check an authenticator or recovery code; resolves to 'totp', 'recovery' or null.
+// Both are consumed with conditional updates, so parallel requests cannot use the same code twice.
+userSchema.methods.useTwoFactorCode = async function(code) {
+  if (!this.twoFactorEnabled) return null;
+
+  const step = verifyTotp(code, this.twoFactorSecret);
+  if (step !== null) {
+    const result = await this.constructor.updateOne(
+      { _id: this._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+      { $set: { twoFactorLastStep: step } }
+    );
+    if (result.modifiedCount === 1) {
+      this.twoFactorLastStep = step;
+      return 'totp';
+    }
+    return null;
+  }
+
+  const hash = hashRecoveryCode(code);
+  if (!this.twoFactorRecoveryCodes.includes(hash)) return null;
+  const result = await this.constructor.updateOne(
+    { _id: this._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  if (result.modifiedCount !== 1) return null;
+  this.twoFactorRecoveryCodes = this.twoFactorRecoveryCodes.filter(stored => stored !== hash);
+  return 'recovery';
+};
+
+function accountLockedError(user, justLocked) {
+  const error = new Error('Account locked');
+  error.code = 'ACCOUNT_LOCKED';
+  error.user = user;
+  error.justLocked = justLocked;
+  return error;
+}
+
 // Static method to find user by username or email
 userSchema.statics.findByCredentials = async function(usernameOrEmail, password) {
   try {
@@ -90,10 +238,22 @@ userSchema.statics.findByCredentials = async function(usernameOrEmail, password)
       throw new Error('Invalid credentials');
     }
 
+    // Locked accounts are refused before the password is even checked
+    if (user.isLocked()) {
+      throw accountLockedError(user, false);
+    }
+
     // Check if password is correct
     const isPasswordMatch = await user.comparePassword(password);
     if (!isPasswordMatch) {
-      throw new Error('Invalid credentials');
+      const justLocked = await user.registerFailedLogin();
+      throw justLocked ? accountLockedError(user, true) : new Error('Invalid credentials');
+    }
+
+    // With two-factor on, the failure count is only cleared once the second step succeeds too,
+    // so re-entering the password does not reset the budget for guessing codes
+    if (user.failedLoginAttempts > 0 && !user.twoFactorEnabled) {
+      await user.unlock();
     }
 
     return user;
@@ -106,6 +266,8 @@ userSchema.statics.findByCredentials = async function(usernameOrEmail, password)
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.twoFactorSecret;
+  delete user.twoFactorRecoveryCodes;
   return user;
 };
 
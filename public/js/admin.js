@@ -0,0 +1,32 @@
+// Admin tables: bulk selection, confirmations and auto-submitting selects
+// (the CSP blocks inline event handlers, so behaviour is attached here through data attributes)
+document.querySelectorAll('[data-select-all]').forEach(toggle => {
+  // form.elements also picks up checkboxes attached from outside through the form="" attribute
+  const form = toggle.closest('form');
+  toggle.addEventListener('change', () => {
+    Array.from(form.elements)
+      .filter(element => element.name === 'ids')
+      .forEach(box => { box.checked = toggle.checked; });
+  });
+});
+
+document.querySelectorAll('form[data-confirm]').forEach(form => {
+  form.addEventListener('submit', event => {
+    if (!confirm(form.dataset.confirm)) {
+      event.preventDefault();
+    }
+  });
+});
+
+// Selects submit on change; a declined confirmation puts the old value back
+document.querySelectorAll('select[data-autosubmit]').forEach(select => {
+  const initial = select.value;
+  select.addEventListener('change', () => {
+    const message = select.form.dataset.confirm;
+    if (message && !confirm(message)) {
+      select.value = initial;
+      return;
+    }
+    select.form.submit();
+  });
+});
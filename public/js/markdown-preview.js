@@ -0,0 +1,56 @@
+// Live Markdown Preview
+// Renders the post body through the server so the preview matches the published post exactly
+document.addEventListener('DOMContentLoaded', function() {
+  const source = document.querySelector('[data-markdown-source]');
+  const preview = document.querySelector('[data-markdown-preview]');
+  if (!source || !preview) return;
+
+  let debounceTimer = null;
+  let lastRendered = null;
+
+  function showMessage(text, className) {
+    preview.innerHTML = '';
+    const message = document.createElement('p');
+    message.className = className;
+    message.textContent = text;
+    preview.appendChild(message);
+  }
+
+  async function renderPreview() {
+    const markdown = source.value;
+    if (markdown === lastRendered) return;
+    lastRendered = markdown;
+
+    if (!markdown.trim()) {
+      showMessage('Nothing to preview yet.', 'preview-empty');
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/v1/markdown/preview', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
+        },
+        credentials: 'same-origin',
+        body: JSON.stringify({ markdown })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Preview failed');
+      }
+      preview.innerHTML = data.html; // sanitized server-side by renderMarkdown
+    } catch (error) {
+      lastRendered = null;
+      showMessage('Preview unavailable: ' + error.message, 'error-message');
+    }
+  }
+
+  source.addEventListener('input', function() {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(renderPreview, 600);
+  });
+
+  renderPreview();
+});
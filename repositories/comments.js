@@ -0,0 +1,253 @@
+// Comment storage behind one API, with the same MongoDB / in-memory split as repositories/posts.js.
+// tests/contracts/comments.test.js runs against both implementations.
+//
+//   findById(id)                                  comment or null (unknown and malformed ids alike)
+//   listForPost(postId, { viewerId })             oldest first: approved comments plus the viewer's pending ones
+//   list({ status, q, author, page, limit })      { comments, total } for the moderation queues
+//   countByStatus()                               { status: count } of comments that are not deleted
+//   countApprovedByAuthor(userId)                 for profile pages
+//   create(data) / update(id, changes)            the saved comment (update: null when missing)
+//   remove(id)                                    deletes the comment, or blanks it when it has live replies
+//   removeByAuthor(userId, { renameTo })          remove() for each of the author's comments, then rename the rest
+//   flagPendingByAuthor(userId, moderation)       moves the author's pending comments to spam; returns how many
+//   deleteForPosts(postIds)                       drops every comment on those posts
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import Comment from '../models/Comment.js';
+import { COMMENT_STATUSES } from '../utils/moderation.js';
+import { containsPattern } from '../utils/search.js';
+
+export const DELETED_COMMENT_TEXT = '[deleted]';
+const MAX_THREAD_COMMENTS = 500;
+
+export function createMongoCommentRepository() {
+  return {
+    async findById(id) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      return await Comment.findById(id);
+    },
+
+    async listForPost(postId, { viewerId = null } = {}) {
+      const visible = [{ status: 'approved' }];
+      if (mongoose.isValidObjectId(viewerId)) {
+        visible.push({ status: 'pending', 'author.userId': viewerId });
+      }
+      return await Comment.find({ postId: String(postId), $or: visible }).sort({ createdAt: 1 }).limit(MAX_THREAD_COMMENTS);
+    },
+
+    // Queues are worked oldest first; the approved list shows recent activity
+    async list({ status = 'pending', q, author, page = 1, limit = 50 } = {}) {
+      const filter = { status, deletedAt: null };
+      if (q) filter.content = containsPattern(q);
+      if (author) filter['author.username'] = containsPattern(author);
+
+      const [comments, total] = await Promise.all([
+        Comment.find(filter).sort({ createdAt: status === 'approved' ? -1 : 1 }).skip((page - 1) * limit).limit(limit),
+        Comment.countDocuments(filter)
+      ]);
+      return { comments, total };
+    },
+
+    async countByStatus() {
+      const groups = await Comment.aggregate([
+        { $match: { deletedAt: null } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+      return Object.fromEntries(groups.map(group => [group._id, group.count]));
+    },
+
+    async countApprovedByAuthor(userId) {
+      if (!mongoose.isValidObjectId(userId)) return 0;
+      return await Comment.countDocuments({ 'author.userId': userId, status: 'approved', deletedAt: null });
+    },
+
+    async create(data) {
+      return await Comment.create(data);
+    },
+
+    async update(id, changes) {
+      const comment = await this.findById(id);
+      if (!comment) return null;
+      comment.set(changes);
+      await comment.save();
+      return comment;
+    },
+
+    // Keep a placeholder when others have replied so the thread stays readable
+    async remove(id) {
+      const comment = await this.findById(id);
+      if (!comment) return false;
+      const hasReplies = await Comment.exists({ parentId: comment._id, deletedAt: null });
+      if (hasReplies) {
+        comment.deletedAt = new Date();
+        comment.content = DELETED_COMMENT_TEXT;
+        await comment.save();
+      } else {
+        await comment.deleteOne();
+      }
+      return true;
+    },
+
+    async removeByAuthor(userId, { renameTo }) {
+      if (!mongoose.isValidObjectId(userId)) return 0;
+      const own = await Comment.find({ 'author.userId': userId, deletedAt: null }, { _id: 1 });
+      for (const comment of own) {
+        await this.remove(comment._id);
+      }
+      await Comment.updateMany({ 'author.userId': userId }, { $set: { 'author.username': renameTo } });
+      return own.length;
+    },
+
+    async flagPendingByAuthor(userId, { reason, moderatedBy }) {
+      if (!mongoose.isValidObjectId(userId)) return 0;
+      const result = await Comment.updateMany(
+        { 'author.userId': userId, status: 'pending' },
+        { $set: { status: 'spam', moderationReason: reason, moderatedBy, moderatedAt: new Date() } }
+      );
+      return result.modifiedCount;
+    },
+
+    async deleteForPosts(postIds) {
+      await Comment.deleteMany({ postId: { $in: postIds.map(String) } });
+    }
+  };
+}
+
+// Shaped like a mongoose ValidationError so callers handle both backends the same way
+function validationError(field, message) {
+  const error = new Error(`Comment validation failed: ${field}: ${message}`);
+  error.name = 'ValidationError';
+  error.errors = { [field]: { message } };
+  return error;
+}
+
+// The rules from models/Comment.js that matter in memory
+function validateComment(comment) {
+  if (!comment.postId) throw validationError('postId', 'Path `postId` is required.');
+  if (!comment.author || !comment.author.username || !comment.author.userId) {
+    throw validationError('author', 'Path `author` is required.');
+  }
+  if (!comment.content || String(comment.content).trim() === '') {
+    throw validationError('content', 'Path `content` is required.');
+  }
+  if (!COMMENT_STATUSES.includes(comment.status)) {
+    throw validationError('status', `\`${comment.status}\` is not a valid enum value for path \`status\`.`);
+  }
+}
+
+// In-memory comments; callers get copies, as with createMemoryPostRepository()
+export function createMemoryCommentRepository({ comments = [] } = {}) {
+  let stored = comments;
+
+  const copy = (record) => (record ? structuredClone(record) : null);
+  const find = (id) => stored.find(comment => comment._id === String(id));
+  const isAuthor = (comment, userId) => String(comment.author.userId) === String(userId);
+  // User and parent ids may arrive as ObjectIds; they are stored as strings
+  const plain = (data) => {
+    const fields = structuredClone({ ...data, author: undefined, parentId: undefined });
+    if (data.author) fields.author = { ...data.author, userId: String(data.author.userId) };
+    if (data.parentId !== undefined) fields.parentId = data.parentId === null ? null : String(data.parentId);
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    return fields;
+  };
+
+  return {
+    async findById(id) {
+      return copy(find(id));
+    },
+
+    async listForPost(postId, { viewerId = null } = {}) {
+      return stored
+        .filter(comment => comment.postId === String(postId))
+        .filter(comment => comment.status === 'approved' || (comment.status === 'pending' && viewerId && isAuthor(comment, viewerId)))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .slice(0, MAX_THREAD_COMMENTS)
+        .map(copy);
+    },
+
+    async list({ status = 'pending', q, author, page = 1, limit = 50 } = {}) {
+      const direction = status === 'approved' ? -1 : 1;
+      const matches = stored
+        .filter(comment => comment.status === status && !comment.deletedAt)
+        .filter(comment => !q || containsPattern(q).test(comment.content))
+        .filter(comment => !author || containsPattern(author).test(comment.author.username))
+        .sort((a, b) => direction * (new Date(a.createdAt) - new Date(b.createdAt)));
+      return { comments: matches.slice((page - 1) * limit, page * limit).map(copy), total: matches.length };
+    },
+
+    async countByStatus() {
+      const counts = {};
+      stored.filter(comment => !comment.deletedAt).forEach(comment => {
+        counts[comment.status] = (counts[comment.status] || 0) + 1;
+      });
+      return counts;
+    },
+
+    async countApprovedByAuthor(userId) {
+      return stored.filter(comment => isAuthor(comment, userId) && comment.status === 'approved' && !comment.deletedAt).length;
+    },
+
+    // New comments keep updatedAt equal to createdAt, so updatedAt > createdAt means "edited"
+    async create(data) {
+      const createdAt = data.createdAt || new Date();
+      const comment = {
+        parentId: null,
+        status: 'approved',
+        moderationReason: null,
+        moderatedBy: null,
+        moderatedAt: null,
+        deletedAt: null,
+        ...plain(data),
+        _id: uuidv4(),
+        createdAt,
+        updatedAt: createdAt
+      };
+      validateComment(comment);
+      stored.push(comment);
+      return copy(comment);
+    },
+
+    async update(id, changes) {
+      const comment = find(id);
+      if (!comment) return null;
+      const next = { ...comment, ...plain(changes) };
+      validateComment(next);
+      Object.assign(comment, next, { updatedAt: new Date() });
+      return copy(comment);
+    },
+
+    async remove(id) {
+      const comment = find(id);
+      if (!comment) return false;
+      const hasReplies = stored.some(reply => reply.parentId === comment._id && !reply.deletedAt);
+      if (hasReplies) {
+        Object.assign(comment, { deletedAt: new Date(), content: DELETED_COMMENT_TEXT, updatedAt: new Date() });
+      } else {
+        stored = stored.filter(other => other._id !== comment._id);
+      }
+      return true;
+    },
+
+    async removeByAuthor(userId, { renameTo }) {
+      const own = stored.filter(comment => isAuthor(comment, userId) && !comment.deletedAt);
+      for (const comment of own) {
+        await this.remove(comment._id);
+      }
+      stored.filter(comment => isAuthor(comment, userId)).forEach(comment => { comment.author.username = renameTo; });
+      return own.length;
+    },
+
+    async flagPendingByAuthor(userId, { reason, moderatedBy }) {
+      const pending = stored.filter(comment => isAuthor(comment, userId) && comment.status === 'pending');
+      pending.forEach(comment => {
+        Object.assign(comment, { status: 'spam', moderationReason: reason, moderatedBy, moderatedAt: new Date() });
+      });
+      return pending.length;
+    },
+
+    async deleteForPosts(postIds) {
+      const ids = postIds.map(String);
+      stored = stored.filter(comment => !ids.includes(comment.postId));
+    }
+  };
+}
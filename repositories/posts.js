@@ -0,0 +1,547 @@
+// Post storage behind one API, so routes do not care whether MongoDB is up.
+// createMongoPostRepository() talks to MongoDB; createMemoryPostRepository() keeps posts in memory for
+// offline mode. Both pass tests/contracts/posts.test.js, which is the reference for how each method behaves.
+//
+//   findById(id)                                  post or null (unknown and malformed ids alike)
+//   findBySlug(slug)                              the post with this slug, or that had it before a rename; else null
+//   listPublished({ category, page, limit })      { posts, total }, newest first
+//   listPublishedLinks({ limit })                 [{ _id, slug, updatedAt, publishedAt }] of published posts, newest first
+//   listPublishedByAuthor({ authorId, authorName }) published posts by one author, latest publication first
+//   listDrafts(authorId)                          the author's unpublished posts, last edited first
+//   list({ q, status, category, author, page, limit }) { posts, total } in any status, for the admin
+//   feedPage({ category, page, after, before, size }) { posts, total, newerCount } for the home feed cursors
+//   search(query, { page, limit })                { ranked: [{ post, score }], total } over published posts
+//   categories({ publishedOnly })                 sorted, non-empty category names
+//   categoryCounts()                              { category: published post count }
+//   countByStatus()                               { status: count }
+//   create(data) / update(id, changes)            the saved post (update: null when missing); slugs follow the title
+//   delete(id) / deleteMany(ids)                  the deleted post / how many were deleted, revisions included
+//   deleteByAuthor(authorId)                      ids of the deleted posts, revisions included
+//   reassignAuthor(authorId, { author, authorName }) how many posts changed hands
+//   publishDue(now)                               how many scheduled posts went live
+//   listRevisions(postId) / addRevision(data)     edit history, newest revision first
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import Post, { POST_STATUSES } from '../models/Post.js';
+import PostRevision from '../models/PostRevision.js';
+import { estimateReadingTime, buildExcerpt } from '../utils/markdown.js';
+import { parseSearchTerms, scorePost, containsPattern } from '../utils/search.js';
+import { cursorFromPost, compareNewestFirst, isOlderThan, isNewerThan } from '../utils/pagination.js';
+import { slugCandidates, renameSlug } from '../utils/slugs.js';
+
+const PUBLISHED_FILTER = { status: 'published' };
+
+function isPublished(post) {
+  return (post.status || 'published') === 'published';
+}
+
+// Slugs are derived from the title by the repository; any passed in (e.g. a replayed offline copy) are ignored
+function withoutSlugs(data) {
+  const fields = { ...data };
+  delete fields.slug;
+  delete fields.previousSlugs;
+  return fields;
+}
+
+function isCategoryName(category) {
+  return !!category && category.trim() !== '';
+}
+
+function olderThanFilter(cursor) {
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  return { $or: [{ createdAt: { $lt: cursor.createdAt } }, { createdAt: cursor.createdAt, _id: { $lt: id } }] };
+}
+
+function newerThanFilter(cursor) {
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  return { $or: [{ createdAt: { $gt: cursor.createdAt } }, { createdAt: cursor.createdAt, _id: { $gt: id } }] };
+}
+
+export function createMongoPostRepository() {
+  const validIds = (ids) => ids.map(String).filter(id => mongoose.isValidObjectId(id));
+
+  return {
+    async findById(id) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      return await Post.findById(id);
+    },
+
+    async findBySlug(slug) {
+      if (typeof slug !== 'string' || slug === '') return null;
+      return await Post.findOne({ slug }) || await Post.findOne({ previousSlugs: slug });
+    },
+
+    async listPublished({ category = null, page = 1, limit = 20 } = {}) {
+      const filter = category ? { ...PUBLISHED_FILTER, category: String(category) } : { ...PUBLISHED_FILTER };
+      const [posts, total] = await Promise.all([
+        Post.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+        Post.countDocuments(filter)
+      ]);
+      return { posts, total };
+    },
+
+    // Just enough of each post to link to it, without loading bodies (the sitemap lists up to 50,000)
+    async listPublishedLinks({ limit = 20 } = {}) {
+      return await Post.find(PUBLISHED_FILTER)
+        .select({ slug: 1, updatedAt: 1, publishedAt: 1 })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .lean();
+    },
+
+    async listPublishedByAuthor({ authorId }) {
+      if (!mongoose.isValidObjectId(authorId)) return [];
+      return await Post.find({ author: authorId, ...PUBLISHED_FILTER }).sort({ publishedAt: -1, createdAt: -1 });
+    },
+
+    async listDrafts(authorId) {
+      if (!mongoose.isValidObjectId(authorId)) return [];
+      return await Post.find({ author: authorId, status: { $ne: 'published' } }).sort({ updatedAt: -1 });
+    },
+
+    async list({ q, status, category, author, page = 1, limit = 50 } = {}) {
+      const filter = {};
+      if (q) filter.title = containsPattern(q);
+      if (POST_STATUSES.includes(status)) filter.status = status;
+      if (category) filter.category = category;
+      if (author) filter.authorName = containsPattern(author);
+
+      const [posts, total] = await Promise.all([
+        Post.find(filter, { body: 0 }).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        Post.countDocuments(filter)
+      ]);
+      return { posts, total };
+    },
+
+    async feedPage({ category = null, page = 1, after = null, before = null, size }) {
+      // Cursors from offline mode carry UUIDs, which cannot be compared against ObjectIds
+      if (after && !mongoose.isValidObjectId(after.id)) after = null;
+      if (before && !mongoose.isValidObjectId(before.id)) before = null;
+
+      const base = category ? { ...PUBLISHED_FILTER, category } : { ...PUBLISHED_FILTER };
+      const total = await Post.countDocuments(base);
+
+      let posts;
+      if (after) {
+        posts = await Post.find({ ...base, ...olderThanFilter(after) }).sort({ createdAt: -1, _id: -1 }).limit(size);
+      } else if (before) {
+        posts = (await Post.find({ ...base, ...newerThanFilter(before) }).sort({ createdAt: 1, _id: 1 }).limit(size)).reverse();
+      }
+      // Paging back to the top of the feed (or no cursor at all) shows a full page by number
+      if (!posts || (before && posts.length < size)) {
+        if (before) page = 1;
+        posts = await Post.find(base).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * size).limit(size);
+        after = null;
+      }
+
+      let newerCount;
+      if (posts.length > 0) {
+        newerCount = await Post.countDocuments({ ...base, ...newerThanFilter(cursorFromPost(posts[0])) });
+      } else {
+        newerCount = after ? total : Math.min(total, (page - 1) * size);
+      }
+      return { posts, total, newerCount };
+    },
+
+    async search(query, { page = 1, limit = 20 } = {}) {
+      const filter = { $text: { $search: query }, ...PUBLISHED_FILTER };
+      const [posts, total] = await Promise.all([
+        Post.find(filter, { score: { $meta: 'textScore' } })
+          .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Post.countDocuments(filter)
+      ]);
+      return { ranked: posts.map(post => ({ post, score: post.get('score') })), total };
+    },
+
+    async categories({ publishedOnly = false } = {}) {
+      const categories = await Post.distinct('category', publishedOnly ? PUBLISHED_FILTER : {});
+      return categories.filter(isCategoryName).sort();
+    },
+
+    async categoryCounts() {
+      const groups = await Post.aggregate([
+        { $match: PUBLISHED_FILTER },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ]);
+      return Object.fromEntries(groups.map(group => [group._id, group.count]));
+    },
+
+    async countByStatus() {
+      const groups = await Post.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+      return Object.fromEntries(groups.map(group => [group._id || 'published', group.count]));
+    },
+
+    async create(data) {
+      const fields = withoutSlugs(data);
+      return await Post.create({ ...fields, slug: await Post.freeSlug(fields.title) });
+    },
+
+    // save() rather than findByIdAndUpdate so the pre-save hook refreshes updatedAt, readingTime and the excerpt
+    async update(id, changes) {
+      const post = await this.findById(id);
+      if (!post) return null;
+      post.set(withoutSlugs(changes));
+      if (post.isModified('title') || !post.slug) {
+        post.set(renameSlug(post, await Post.freeSlug(post.title, post._id)));
+      }
+      await post.save();
+      return post;
+    },
+
+    async delete(id) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      const post = await Post.findByIdAndDelete(id);
+      if (post) await PostRevision.deleteMany({ postId: String(post._id) });
+      return post;
+    },
+
+    async deleteMany(ids) {
+      const postIds = validIds(ids);
+      const result = await Post.deleteMany({ _id: { $in: postIds } });
+      await PostRevision.deleteMany({ postId: { $in: postIds } });
+      return result.deletedCount;
+    },
+
+    async deleteByAuthor(authorId) {
+      if (!mongoose.isValidObjectId(authorId)) return [];
+      const postIds = (await Post.find({ author: authorId }, { _id: 1 })).map(post => String(post._id));
+      await Promise.all([
+        Post.deleteMany({ author: authorId }),
+        PostRevision.deleteMany({ postId: { $in: postIds } })
+      ]);
+      return postIds;
+    },
+
+    async reassignAuthor(authorId, { author, authorName }) {
+      if (!mongoose.isValidObjectId(authorId)) return 0;
+      const result = await Post.updateMany({ author: authorId }, { $set: { author, authorName } });
+      return result.modifiedCount;
+    },
+
+    async publishDue(now = new Date()) {
+      const result = await Post.updateMany(
+        { status: 'scheduled', publishAt: { $lte: now } },
+        { $set: { status: 'published', publishedAt: now, updatedAt: now } }
+      );
+      return result.modifiedCount;
+    },
+
+    async listRevisions(postId) {
+      return await PostRevision.find({ postId: String(postId) }).sort({ revision: -1 });
+    },
+
+    async addRevision(data) {
+      return await PostRevision.create(data);
+    }
+  };
+}
+
+// Shaped like a mongoose ValidationError so callers handle both backends the same way
+function validationError(field, message) {
+  const error = new Error(`Post validation failed: ${field}: ${message}`);
+  error.name = 'ValidationError';
+  error.errors = { [field]: { message } };
+  return error;
+}
+
+const TEXT_FIELDS = ['title', 'body', 'category', 'excerpt', 'authorName', 'featuredImage'];
+
+// Cast, trim and length-check one text value as mongoose would: numbers and booleans become strings, anything
+// else (arrays, objects) fails to cast
+function castText(field, value, { trim, maxlength }) {
+  if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') {
+    throw validationError(field, `Cast to string failed for value "${JSON.stringify(value)}" at path "${field}"`);
+  }
+  const text = trim ? String(value).trim() : String(value);
+  if (maxlength && text.length > maxlength) {
+    throw validationError(field, `Path \`${field}\` is longer than the maximum allowed length (${maxlength}).`);
+  }
+  return text;
+}
+
+// The rules from models/Post.js that matter offline, with the text limits read from the schema so offline
+// writes cannot be stored here and then fail when replayed into MongoDB. Casts and trims the post in place.
+function validatePost(post) {
+  for (const field of TEXT_FIELDS) {
+    if (post[field] !== undefined && post[field] !== null) {
+      post[field] = castText(field, post[field], Post.schema.path(field).options);
+    }
+  }
+  if (post.tags !== undefined && post.tags !== null) {
+    const tagOptions = Post.schema.path('tags').caster.options;
+    post.tags = [].concat(post.tags).map(tag => castText('tags', tag, tagOptions));
+  }
+  for (const field of ['title', 'body', 'author', 'authorName']) {
+    if (post[field] === undefined || post[field] === null || String(post[field]).trim() === '') {
+      throw validationError(field, `Path \`${field}\` is required.`);
+    }
+  }
+  if (!POST_STATUSES.includes(post.status)) {
+    throw validationError('status', `\`${post.status}\` is not a valid enum value for path \`status\`.`);
+  }
+}
+
+// In-memory posts and revisions for offline mode. `onWrite(op, post, base)` runs after every change to a
+// post ('create', 'update' or 'delete'; `base` is the updatedAt before an update), which is how index.js
+// journals offline writes. Callers get copies, so nothing changes without going through the repository.
+export function createMemoryPostRepository({ posts = [], revisions = [], onWrite = async () => {} } = {}) {
+  let storedPosts = posts;
+  let storedRevisions = revisions;
+
+  const copy = (record) => (record ? structuredClone(record) : null);
+  // Author ids may arrive as ObjectIds (e.g. an admin taking over posts); they are stored as strings
+  const plain = ({ author, ...fields }) => (
+    author === undefined ? structuredClone(fields) : { ...structuredClone(fields), author: author === null ? null : String(author) }
+  );
+  const find = (id) => storedPosts.find(post => post._id === String(id));
+  const usesSlug = (post, slug) => post.slug === slug || (post.previousSlugs || []).includes(slug);
+  const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+  const page = (list, pageNumber, limit) => list.slice((pageNumber - 1) * limit, pageNumber * limit).map(copy);
+
+  function removeRevisions(postIds) {
+    storedRevisions = storedRevisions.filter(revision => !postIds.includes(revision.postId));
+  }
+
+  // Mirror the pre-save hook in models/Post.js
+  function touch(post, now = new Date()) {
+    post.updatedAt = now;
+    post.readingTime = estimateReadingTime(post.body);
+    if (post.status === 'published' && !post.publishedAt) post.publishedAt = now;
+    if (!post.excerpt) post.excerpt = buildExcerpt(post.body);
+  }
+
+  function freeSlug(title, exceptId) {
+    for (const candidate of slugCandidates(title)) {
+      if (!storedPosts.some(post => post._id !== exceptId && usesSlug(post, candidate))) return candidate;
+    }
+  }
+
+  // Posts restored from an offline store written before slugs existed
+  for (const post of storedPosts.filter(post => !post.slug)) {
+    Object.assign(post, renameSlug(post, freeSlug(post.title, post._id)));
+  }
+
+  async function removePosts(removed) {
+    const ids = removed.map(post => post._id);
+    storedPosts = storedPosts.filter(post => !ids.includes(post._id));
+    removeRevisions(ids);
+    for (const post of removed) {
+      await onWrite('delete', post);
+    }
+  }
+
+  return {
+    async findById(id) {
+      return copy(find(id));
+    },
+
+    async findBySlug(slug) {
+      if (typeof slug !== 'string' || slug === '') return null;
+      return copy(storedPosts.find(post => post.slug === slug) || storedPosts.find(post => usesSlug(post, slug)));
+    },
+
+    async listPublished({ category = null, page: pageNumber = 1, limit = 20 } = {}) {
+      const matches = storedPosts
+        .filter(post => isPublished(post) && (!category || post.category === category))
+        .sort(compareNewestFirst);
+      return { posts: page(matches, pageNumber, limit), total: matches.length };
+    },
+
+    async listPublishedLinks({ limit = 20 } = {}) {
+      return storedPosts
+        .filter(post => isPublished(post))
+        .sort(compareNewestFirst)
+        .slice(0, limit)
+        .map(({ _id, slug, updatedAt, publishedAt }) => ({ _id, slug, updatedAt, publishedAt }));
+    },
+
+    // Offline there are no accounts, so posts can also be matched by the author name they carry
+    async listPublishedByAuthor({ authorId = null, authorName = null }) {
+      return storedPosts
+        .filter(post => isPublished(post))
+        .filter(post => (authorId && String(post.author) === String(authorId)) || (authorName && post.authorName === authorName))
+        .sort((a, b) => new Date(b.publishedAt || b.createdAt) - new Date(a.publishedAt || a.createdAt))
+        .map(copy);
+    },
+
+    async listDrafts(authorId) {
+      return storedPosts
+        .filter(post => String(post.author) === String(authorId) && !isPublished(post))
+        .sort((a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt))
+        .map(copy);
+    },
+
+    async list({ q, status, category, author, page: pageNumber = 1, limit = 50 } = {}) {
+      const matches = storedPosts
+        .filter(post => !q || containsPattern(q).test(post.title))
+        .filter(post => !POST_STATUSES.includes(status) || (post.status || 'published') === status)
+        .filter(post => !category || post.category === category)
+        .filter(post => !author || containsPattern(author).test(post.authorName || ''))
+        .sort(byNewest);
+      return { posts: page(matches, pageNumber, limit), total: matches.length };
+    },
+
+    async feedPage({ category = null, page: pageNumber = 1, after = null, before = null, size }) {
+      const sorted = storedPosts
+        .filter(post => isPublished(post) && (!category || post.category === category))
+        .sort(compareNewestFirst);
+      const total = sorted.length;
+
+      let startIndex;
+      if (after) {
+        startIndex = sorted.findIndex(post => isOlderThan(post, after));
+        if (startIndex === -1) startIndex = total;
+      } else if (before) {
+        let endIndex = sorted.findIndex(post => !isNewerThan(post, before));
+        if (endIndex === -1) endIndex = total;
+        startIndex = endIndex < size ? 0 : endIndex - size;
+      } else {
+        startIndex = Math.min(total, (pageNumber - 1) * size);
+      }
+      return { posts: sorted.slice(startIndex, startIndex + size).map(copy), total, newerCount: startIndex };
+    },
+
+    // Weighted term matching stands in for the MongoDB text index
+    async search(query, { page: pageNumber = 1, limit = 20 } = {}) {
+      const terms = parseSearchTerms(query);
+      const matches = storedPosts
+        .filter(isPublished)
+        .map(post => ({ post, score: scorePost(post, terms) }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score || byNewest(a.post, b.post));
+      const ranked = matches
+        .slice((pageNumber - 1) * limit, pageNumber * limit)
+        .map(({ post, score }) => ({ post: copy(post), score }));
+      return { ranked, total: matches.length };
+    },
+
+    async categories({ publishedOnly = false } = {}) {
+      const source = publishedOnly ? storedPosts.filter(isPublished) : storedPosts;
+      return [...new Set(source.map(post => post.category).filter(isCategoryName))].sort();
+    },
+
+    async categoryCounts() {
+      const counts = {};
+      storedPosts.filter(isPublished).forEach(post => { counts[post.category] = (counts[post.category] || 0) + 1; });
+      return counts;
+    },
+
+    async countByStatus() {
+      const counts = {};
+      storedPosts.forEach(post => {
+        const status = post.status || 'published';
+        counts[status] = (counts[status] || 0) + 1;
+      });
+      return counts;
+    },
+
+    async create(data) {
+      const now = new Date();
+      const post = {
+        category: 'Daily Reflections',
+        excerpt: '',
+        tags: [],
+        featuredImage: null,
+        status: 'published',
+        publishAt: null,
+        publishedAt: null,
+        createdAt: now,
+        ...withoutSlugs(plain(data)),
+        _id: uuidv4(),
+        previousSlugs: []
+      };
+      validatePost(post);
+      post.slug = freeSlug(post.title, post._id);
+      touch(post, now);
+
+      storedPosts.push(post);
+      await onWrite('create', post);
+      return copy(post);
+    },
+
+    async update(id, changes) {
+      const post = find(id);
+      if (!post) return null;
+      const next = { ...post, ...withoutSlugs(plain(changes)) };
+      validatePost(next);
+      if (next.title !== post.title || !post.slug) {
+        Object.assign(next, renameSlug(post, freeSlug(next.title, post._id)));
+      }
+
+      const base = post.updatedAt;
+      Object.assign(post, next);
+      touch(post);
+      await onWrite('update', post, base);
+      return copy(post);
+    },
+
+    async delete(id) {
+      const post = find(id);
+      if (!post) return null;
+      await removePosts([post]);
+      return copy(post);
+    },
+
+    async deleteMany(ids) {
+      const wanted = ids.map(String);
+      const removed = storedPosts.filter(post => wanted.includes(post._id));
+      await removePosts(removed);
+      return removed.length;
+    },
+
+    async deleteByAuthor(authorId) {
+      const removed = storedPosts.filter(post => String(post.author) === String(authorId));
+      await removePosts(removed);
+      return removed.map(post => post._id);
+    },
+
+    async reassignAuthor(authorId, { author, authorName }) {
+      const owned = storedPosts.filter(post => String(post.author) === String(authorId));
+      for (const post of owned) {
+        const base = post.updatedAt;
+        Object.assign(post, { author: String(author), authorName });
+        await onWrite('update', post, base);
+      }
+      return owned.length;
+    },
+
+    async publishDue(now = new Date()) {
+      const due = storedPosts.filter(post => post.status === 'scheduled' && new Date(post.publishAt) <= now);
+      for (const post of due) {
+        const base = post.updatedAt;
+        Object.assign(post, { status: 'published', publishedAt: now, updatedAt: now });
+        await onWrite('update', post, base);
+      }
+      return due.length;
+    },
+
+    async listRevisions(postId) {
+      return storedRevisions
+        .filter(revision => revision.postId === String(postId))
+        .sort((a, b) => b.revision - a.revision)
+        .map(copy);
+    },
+
+    async addRevision(data) {
+      const revision = { _id: uuidv4(), createdAt: new Date(), restoredFrom: null, ...structuredClone(data) };
+      if (storedRevisions.some(existing => existing.postId === revision.postId && existing.revision === revision.revision)) {
+        throw new Error(`Revision ${revision.revision} of post ${revision.postId} already exists`);
+      }
+      storedRevisions.push(revision);
+      return copy(revision);
+    },
+
+    // Offline-store plumbing, not part of the shared API: the live state to save, and dropping what was replayed
+    snapshot() {
+      return { posts: storedPosts, revisions: storedRevisions };
+    },
+
+    retain(postIds) {
+      const keep = new Set([...postIds].map(String));
+      storedPosts = storedPosts.filter(post => keep.has(post._id));
+      storedRevisions = storedRevisions.filter(revision => keep.has(revision.postId));
+    }
+  };
+}
@@ -0,0 +1,191 @@
+// The storage behind an app: MongoDB repositories while connected, otherwise the in-memory fallback whose writes
+// the offline store saves to disk, plus the replay that brings those writes into MongoDB once it is back.
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import { recordAudit } from "../utils/audit.js";
+import { isMongoConnected } from "../utils/database.js";
+import { trackPostMedia, sweepOrphanedMedia } from "../utils/media.js";
+import { createOfflineStore } from "../utils/offlineStore.js";
+import { createMongoPostRepository, createMemoryPostRepository } from "./posts.js";
+import { createMongoCommentRepository, createMemoryCommentRepository } from "./comments.js";
+
+export async function createStorage({ offlineStore = createOfflineStore() } = {}) {
+  // Offline writes are saved to disk and journaled, so they survive restarts and reach MongoDB once it is back
+  const restoredOfflineState = await offlineStore.load();
+  if (restoredOfflineState.journal.length > 0) {
+    console.log(`💾 Restored ${restoredOfflineState.posts.length} offline post(s) with ${restoredOfflineState.journal.length} write(s) waiting for MongoDB`);
+  }
+
+  // Storage: routes go through postRepo()/commentRepo(), which pick MongoDB or the in-memory fallback
+  const mongoPosts = trackPostMedia(createMongoPostRepository()); // keeps Media references current
+  const mongoComments = createMongoCommentRepository();
+  const memoryPosts = createMemoryPostRepository({
+    posts: restoredOfflineState.posts,
+    revisions: restoredOfflineState.revisions,
+    onWrite: journalOfflineWrite
+  });
+  const memoryComments = createMemoryCommentRepository();
+
+  function postRepo() {
+    return isMongoConnected ? mongoPosts : memoryPosts;
+  }
+
+  function commentRepo() {
+    return isMongoConnected ? mongoComments : memoryComments;
+  }
+
+  function offlineState() {
+    return memoryPosts.snapshot();
+  }
+
+  // Runs after every change to an in-memory post; `base` is the post's updatedAt before the change, for conflict checks
+  async function journalOfflineWrite(op, post, base = null) {
+    try {
+      await offlineStore.record({
+        op,
+        postId: String(post._id),
+        data: op === 'delete' ? null : { ...post },
+        base
+      }, offlineState());
+    } catch (error) {
+      console.error(`❌ Could not save offline ${op} of post ${post._id}:`, error);
+    }
+  }
+
+  // Reconciliation: replay writes made in offline mode into MongoDB, oldest first.
+  // Posts created offline get a MongoDB id (later entries for them follow it). An entry that cannot be
+  // applied without overwriting newer data is set aside as a conflict and reported instead.
+  let isReplayingOfflineWrites = false;
+
+  async function replayOfflineWrites() {
+    const pending = offlineStore.pendingWrites();
+    if (pending.length === 0 || isReplayingOfflineWrites) return;
+
+    isReplayingOfflineWrites = true;
+    console.log(`🔁 Replaying ${pending.length} offline write(s) into MongoDB...`);
+    const idMap = new Map(); // offline id -> MongoDB id
+    const summary = { applied: 0, conflicts: [] };
+
+    try {
+      const owner = await User.findOne({ role: 'admin', suspendedAt: null }).sort({ createdAt: 1 });
+      for (const entry of pending) {
+        if (!isMongoConnected) break; // lost the connection again; the rest waits for the next reconnect
+
+        let reason;
+        try {
+          reason = await replayOfflineWrite(entry, idMap, owner);
+        } catch (error) {
+          if (!['ValidationError', 'CastError'].includes(error.name)) throw error;
+          reason = `Rejected by MongoDB: ${error.message}`;
+        }
+
+        if (reason) {
+          console.log(`⚠️ Offline ${entry.op} of post ${entry.postId} not replayed: ${reason}`);
+          summary.conflicts.push({ op: entry.op, postId: entry.postId, title: entry.data?.title || null, reason });
+        } else {
+          summary.applied += 1;
+        }
+        await offlineStore.settle(entry, offlineState(), reason);
+      }
+    } catch (error) {
+      console.error("❌ Offline replay stopped; the remaining writes stay queued:", error.message);
+    } finally {
+      isReplayingOfflineWrites = false;
+    }
+
+    // Keep only the offline posts (and their history) that still have writes waiting
+    memoryPosts.retain(offlineStore.pendingWrites().map(entry => entry.postId));
+    await offlineStore.save(offlineState()).catch(error => console.error("❌ Could not save offline store:", error));
+
+    console.log(`✅ Replayed ${summary.applied} offline write(s), ${summary.conflicts.length} conflict(s)`);
+    await recordAudit({
+      action: 'offline.replayed',
+      details: { applied: summary.applied, conflicts: summary.conflicts.length, remaining: offlineStore.pendingWrites().length },
+      source: 'system'
+    });
+    for (const conflict of summary.conflicts) {
+      await recordAudit({ action: 'offline.conflict', details: conflict, source: 'system' });
+    }
+  }
+
+  // Apply one journal entry; resolves to null when applied, or the reason it is a conflict
+  async function replayOfflineWrite(entry, idMap, owner) {
+    const offlineId = entry.postId;
+    const mongoId = idMap.get(offlineId) || (mongoose.isValidObjectId(offlineId) ? offlineId : null);
+    const { _id, author, authorName, createdAt, ...fields } = entry.data || {};
+
+    if (entry.op === 'create') {
+      // Offline authors (e.g. the fallback admin) have no account; their posts go to the longest-serving admin
+      const hasAccount = mongoose.isValidObjectId(author) && await User.exists({ _id: author });
+      if (!hasAccount && !owner) {
+        // Not a conflict: the queue stays as it is and is retried on the next reconnect
+        throw new Error('No admin account exists yet to own posts written offline');
+      }
+      const post = await mongoPosts.create({
+        ...fields,
+        createdAt,
+        author: hasAccount ? author : owner._id,
+        authorName: hasAccount ? authorName : owner.username
+      });
+      const newId = String(post._id);
+      idMap.set(offlineId, newId);
+      await offlineStore.remapPost(offlineId, newId);
+
+      // Bring the post's offline edit history along
+      const revisions = await memoryPosts.listRevisions(offlineId);
+      for (const { _id: revisionId, ...revision } of revisions.reverse()) {
+        await mongoPosts.addRevision({ ...revision, postId: newId });
+      }
+      return null;
+    }
+
+    if (!mongoId) {
+      // Every post created offline is replayed (or set aside) before its later edits and deletes
+      return 'The post was never saved to MongoDB';
+    }
+    const post = await mongoPosts.findById(mongoId);
+
+    if (entry.op === 'delete') {
+      if (post) {
+        await mongoPosts.delete(mongoId);
+        await mongoComments.deleteForPosts([mongoId]);
+      }
+      return null;
+    }
+
+    if (!post) {
+      return 'The post was deleted in MongoDB';
+    }
+    // Posts that already lived in MongoDB may have been edited elsewhere since the offline copy was taken
+    const createdThisRun = [...idMap.values()].includes(mongoId);
+    if (!createdThisRun && entry.base && post.updatedAt > new Date(entry.base)) {
+      return 'The post was changed in MongoDB after the offline edit';
+    }
+    await mongoPosts.update(mongoId, fields);
+    return null;
+  }
+
+  // Scheduled publishing: flip scheduled posts whose publishAt has passed to published
+  async function publishScheduledPosts() {
+    try {
+      const published = await postRepo().publishDue(new Date());
+      if (published > 0) {
+        console.log(`📅 Published ${published} scheduled post(s)`);
+      }
+    } catch (err) {
+      console.error("❌ Error publishing scheduled posts:", err);
+    }
+  }
+
+  // Media sweep: posts still waiting in the offline store keep their images until they have been replayed
+  async function sweepMedia({ uploadStorage, graceMs }) {
+    try {
+      return await sweepOrphanedMedia({ uploadStorage, graceMs, extraPosts: offlineState().posts });
+    } catch (err) {
+      console.error("❌ Error sweeping unused uploads:", err);
+      return null;
+    }
+  }
+
+  return { postRepo, commentRepo, mongoPosts, memoryPosts, replayOfflineWrites, publishScheduledPosts, sweepMedia };
+}
@@ -0,0 +1,425 @@
+// Account pages: two-factor settings, public profiles and the settings for profile, avatar, email, password and deletion
+import express from "express";
+import mongoose from "mongoose";
+import { body, validationResult } from "express-validator";
+import User from "../models/User.js";
+import { recordAudit } from "../utils/audit.js";
+import { isMongoConnected } from "../utils/database.js";
+import { isAdminTwoFactorRequired, generateTwoFactorSecret, enrollmentQrCode, verifyTotp, generateRecoveryCodes } from "../utils/twoFactor.js";
+import { upload, saveUploadedImage } from "../utils/uploads.js";
+import { recordUpload, syncAvatarMedia, transferMedia } from "../utils/media.js";
+import { requireAuth, renderNotice } from "./middleware.js";
+
+export function createAccountRouter({ storage, accountEmails, uploadStorage, limiters }) {
+  const router = express.Router();
+  const { postRepo, commentRepo } = storage;
+  const { appUrl, sendAccountEmail, sendVerificationEmail } = accountEmails;
+  const { uploadLimiter, accountEmailLimiter } = limiters;
+
+  // Two-factor authentication settings
+  // A new secret waits in req.session.twoFactorSetup until the first code from the authenticator app confirms it
+  const SECURITY_NOTICES = {
+    'admin-required': 'Admins must turn on two-factor authentication before using the admin dashboard.',
+    'recovery-used': 'You signed in with a recovery code, which cannot be used again. Generate new codes if you are running low.',
+    'disabled': 'Two-factor authentication is off.'
+  };
+
+  // Load the signed-in user's record into req.account; account settings are unavailable in offline mode
+  async function loadAccount(req, res, next) {
+    if (!isMongoConnected || !mongoose.isValidObjectId(req.session.user.id)) {
+      return renderNotice(res, 503, "Settings unavailable", "Account settings need the database. Please try again once it is back online.");
+    }
+    try {
+      req.account = await User.findById(req.session.user.id);
+      if (!req.account) {
+        delete req.session.user;
+        return res.redirect('/login');
+      }
+      next();
+    } catch (error) {
+      console.error("Error loading account:", error);
+      res.status(500).send("Error loading account");
+    }
+  }
+
+  async function renderSecuritySettings(req, res, { status = 200, error = null, notice = null, recoveryCodes = null } = {}) {
+    const account = req.account;
+    let enrollment = null;
+    if (!account.twoFactorEnabled) {
+      if (!req.session.twoFactorSetup) {
+        req.session.twoFactorSetup = generateTwoFactorSecret();
+      }
+      const secret = req.session.twoFactorSetup;
+      const { dataUrl } = await enrollmentQrCode(account.username, secret);
+      enrollment = { secret, qrCode: dataUrl };
+    }
+
+    res.status(status).render("security-settings.ejs", {
+      account,
+      enrollment,
+      recoveryCodes,
+      error,
+      notice,
+      mustKeepTwoFactor: account.role === 'admin' && isAdminTwoFactorRequired(),
+      currentPage: 'settings',
+      selectedCategory: null
+    });
+  }
+
+  router.get("/settings/security", requireAuth, loadAccount, async (req, res) => {
+    try {
+      await renderSecuritySettings(req, res, { notice: SECURITY_NOTICES[req.query.notice] || null });
+    } catch (error) {
+      console.error("Error loading security settings:", error);
+      res.status(500).send("Error loading security settings");
+    }
+  });
+
+  router.post("/settings/security/2fa/enable", requireAuth, loadAccount, async (req, res) => {
+    try {
+      const account = req.account;
+      if (account.twoFactorEnabled) {
+        return res.redirect('/settings/security');
+      }
+
+      const secret = req.session.twoFactorSetup;
+      const step = verifyTotp(req.body.code, secret);
+      if (step === null) {
+        return renderSecuritySettings(req, res, {
+          status: 400,
+          error: "That code did not match. Check that your phone's clock is right and enter the current code."
+        });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      await account.enableTwoFactor(secret, recoveryCodes, step);
+      delete req.session.twoFactorSetup;
+      req.session.user.twoFactorEnabled = true;
+
+      await recordAudit({ action: 'user.2fa_enabled', actor: account, target: account, ip: req.ip });
+      console.log(`🔐 ${account.username} turned on two-factor authentication`);
+
+      await renderSecuritySettings(req, res, {
+        notice: 'Two-factor authentication is on. Save these recovery codes somewhere safe: each one signs you in once if you lose your phone.',
+        recoveryCodes
+      });
+    } catch (error) {
+      console.error("Error enabling two-factor authentication:", error);
+      res.status(500).send("Error enabling two-factor authentication");
+    }
+  });
+
+  router.post("/settings/security/2fa/recovery-codes", requireAuth, loadAccount, async (req, res) => {
+    try {
+      const account = req.account;
+      if (!account.twoFactorEnabled) {
+        return res.redirect('/settings/security');
+      }
+      if (!await account.useTwoFactorCode(req.body.code)) {
+        return renderSecuritySettings(req, res, { status: 400, error: "That code is not valid." });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      await account.replaceRecoveryCodes(recoveryCodes);
+      await recordAudit({ action: 'user.2fa_codes_regenerated', actor: account, target: account, ip: req.ip });
+
+      await renderSecuritySettings(req, res, {
+        notice: 'New recovery codes generated. The old ones no longer work.',
+        recoveryCodes
+      });
+    } catch (error) {
+      console.error("Error regenerating recovery codes:", error);
+      res.status(500).send("Error generating recovery codes");
+    }
+  });
+
+  router.post("/settings/security/2fa/disable", requireAuth, loadAccount, async (req, res) => {
+    try {
+      const account = req.account;
+      if (!account.twoFactorEnabled) {
+        return res.redirect('/settings/security');
+      }
+      if (account.role === 'admin' && isAdminTwoFactorRequired()) {
+        return renderSecuritySettings(req, res, { status: 403, error: "Admins cannot turn off two-factor authentication." });
+      }
+      if (!await account.comparePassword(req.body.password || '') || !await account.useTwoFactorCode(req.body.code)) {
+        return renderSecuritySettings(req, res, { status: 400, error: "Your password or code is not correct." });
+      }
+
+      await account.disableTwoFactor();
+      req.session.user.twoFactorEnabled = false;
+      await recordAudit({ action: 'user.2fa_disabled', actor: account, target: account, details: { method: 'self' }, ip: req.ip });
+      console.log(`🔓 ${account.username} turned off two-factor authentication`);
+
+      res.redirect('/settings/security?notice=disabled');
+    } catch (error) {
+      console.error("Error disabling two-factor authentication:", error);
+      res.status(500).send("Error disabling two-factor authentication");
+    }
+  });
+
+  // Public profiles
+  router.get("/users/:username", async (req, res) => {
+    try {
+      const username = req.params.username;
+      let profile = null;
+      let posts = [];
+      let commentCount = 0;
+
+      if (isMongoConnected) {
+        const member = await User.findOne({ username, suspendedAt: null });
+        if (member) {
+          [posts, commentCount] = await Promise.all([
+            postRepo().listPublishedByAuthor({ authorId: member._id }),
+            commentRepo().countApprovedByAuthor(member._id)
+          ]);
+          profile = { username: member.username, bio: member.bio, avatarUrl: member.avatarUrl, role: member.role, joinedAt: member.createdAt };
+        }
+      } else {
+        // Offline there are no accounts, only the author names on in-memory posts
+        posts = await postRepo().listPublishedByAuthor({ authorName: username });
+        if (posts.length > 0) {
+          profile = { username, bio: '', avatarUrl: null, role: null, joinedAt: null };
+        }
+      }
+
+      if (!profile) {
+        return res.status(404).send("User not found");
+      }
+
+      res.render("profile.ejs", {
+        profile,
+        posts,
+        commentCount,
+        isMongoConnected,
+        selectedCategory: null
+      });
+    } catch (error) {
+      console.error("Error loading profile:", error);
+      res.status(500).send("Error loading profile");
+    }
+  });
+
+  // Account settings
+  const SETTINGS_NOTICES = {
+    'profile': 'Your profile has been updated.',
+    'avatar': 'Your avatar has been updated.',
+    'email': 'Your email address has been changed. Please confirm it with the link we just sent.',
+    'password': 'Your password has been changed.'
+  };
+
+  function renderAccountSettings(res, account, { status = 200, error = null, notice = null } = {}) {
+    res.status(status).render("settings.ejs", {
+      account,
+      error,
+      notice,
+      currentPage: 'settings',
+      selectedCategory: null
+    });
+  }
+
+  router.get("/settings", requireAuth, loadAccount, (req, res) => {
+    renderAccountSettings(res, req.account, { notice: SETTINGS_NOTICES[req.query.notice] || null });
+  });
+
+  router.post("/settings/profile", requireAuth, loadAccount, [
+    body('bio').optional().isLength({ max: 500 }).withMessage('Bio cannot exceed 500 characters')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return renderAccountSettings(res, req.account, { status: 400, error: errors.array()[0].msg });
+      }
+
+      // Stored as plain text and escaped wherever it is shown
+      req.account.bio = String(req.body.bio || '').trim();
+      await req.account.save();
+      res.redirect('/settings?notice=profile');
+    } catch (error) {
+      console.error("Error updating profile:", error);
+      res.status(500).send("Error updating profile");
+    }
+  });
+
+  // multer runs inside the handler so a rejected file is shown on the settings page instead of a bare error
+  router.post("/settings/avatar", requireAuth, uploadLimiter, loadAccount, (req, res) => {
+    upload.single('avatarFile')(req, res, async (uploadError) => {
+      try {
+        if (uploadError) {
+          return renderAccountSettings(res, req.account, { status: 400, error: uploadError.message });
+        }
+        if (req.body.removeAvatar) {
+          req.account.avatarUrl = null;
+        } else if (req.file) {
+          try {
+            const image = await saveUploadedImage(req.file, uploadStorage);
+            await recordUpload(image, req.session.user, req.file.originalname);
+            req.account.avatarUrl = image.variants.thumb;
+          } catch (error) {
+            if (error.status !== 400) throw error;
+            return renderAccountSettings(res, req.account, { status: 400, error: error.message });
+          }
+        } else {
+          return renderAccountSettings(res, req.account, { status: 400, error: 'Choose an image to upload.' });
+        }
+
+        await req.account.save();
+        await syncAvatarMedia(req.account._id, req.account.avatarUrl);
+        res.redirect('/settings?notice=avatar');
+      } catch (error) {
+        console.error("Error updating avatar:", error);
+        res.status(500).send("Error updating avatar");
+      }
+    });
+  });
+
+  router.post("/settings/email", requireAuth, accountEmailLimiter, loadAccount, [
+    body('email').trim().isEmail().withMessage('Please enter a valid email address')
+  ], async (req, res) => {
+    try {
+      const account = req.account;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return renderAccountSettings(res, account, { status: 400, error: errors.array()[0].msg });
+      }
+      if (!await account.comparePassword(req.body.currentPassword || '')) {
+        return renderAccountSettings(res, account, { status: 400, error: 'Your current password is not correct.' });
+      }
+
+      const email = req.body.email.toLowerCase();
+      if (email === account.email) {
+        return res.redirect('/settings');
+      }
+      if (await User.exists({ email, _id: { $ne: account._id } })) {
+        return renderAccountSettings(res, account, { status: 400, error: 'That email address is already in use.' });
+      }
+
+      const previousEmail = account.email;
+      account.email = email;
+      account.isVerified = false;
+      account.emailVerifiedAt = null;
+      await account.save();
+
+      req.session.user.email = account.email;
+      req.session.user.isVerified = false;
+      await recordAudit({ action: 'user.email_changed', actor: account, target: account, details: { from: previousEmail, to: email }, ip: req.ip });
+
+      await sendVerificationEmail(req, account);
+      await sendAccountEmail({
+        to: previousEmail,
+        subject: 'Your email address was changed',
+        text: `Hi ${account.username},\n\nThe email address on your Purpose & Perspective account was changed to ${email}.\n\nIf you did not do this, reset your password at ${appUrl(req)}/forgot-password and contact the blog owner.`
+      });
+
+      res.redirect('/settings?notice=email');
+    } catch (error) {
+      console.error("Error changing email:", error);
+      res.status(500).send("Error changing email");
+    }
+  });
+
+  router.post("/settings/password", requireAuth, loadAccount, [
+    body('newPassword')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+    body('confirmPassword')
+      .custom((value, { req }) => {
+        if (value !== req.body.newPassword) {
+          throw new Error('Passwords do not match');
+        }
+        return true;
+      })
+  ], async (req, res) => {
+    try {
+      const account = req.account;
+      if (!await account.comparePassword(req.body.currentPassword || '')) {
+        return renderAccountSettings(res, account, { status: 400, error: 'Your current password is not correct.' });
+      }
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return renderAccountSettings(res, account, { status: 400, error: errors.array()[0].msg });
+      }
+
+      // Changing the hash also invalidates any outstanding password reset links
+      account.password = req.body.newPassword;
+      await account.save();
+      await recordAudit({ action: 'user.password_changed', actor: account, target: account, ip: req.ip });
+
+      console.log(`🔑 ${account.username} changed their password`);
+      res.redirect('/settings?notice=password');
+    } catch (error) {
+      console.error("Error changing password:", error);
+      res.status(500).send("Error changing password");
+    }
+  });
+
+  // Delete the account. Posts either go to the longest-serving other admin or are removed with their
+  // revisions and comments; the user's own comments are removed (or blanked when others replied).
+  router.post("/settings/delete", requireAuth, loadAccount, async (req, res) => {
+    try {
+      const account = req.account;
+      const { password, code, confirmUsername, posts: postsChoice } = req.body;
+
+      if (confirmUsername !== account.username) {
+        return renderAccountSettings(res, account, { status: 400, error: 'Type your username to confirm.' });
+      }
+      if (!await account.comparePassword(password || '')) {
+        return renderAccountSettings(res, account, { status: 400, error: 'Your password is not correct.' });
+      }
+      if (account.twoFactorEnabled && !await account.useTwoFactorCode(code)) {
+        return renderAccountSettings(res, account, { status: 400, error: 'Your two-factor code is not correct.' });
+      }
+      if (!['reassign', 'delete'].includes(postsChoice)) {
+        return renderAccountSettings(res, account, { status: 400, error: 'Choose what should happen to your posts.' });
+      }
+
+      const heir = await User.findOne({ role: 'admin', suspendedAt: null, _id: { $ne: account._id } }).sort({ createdAt: 1 });
+      if (account.role === 'admin' && !heir) {
+        return renderAccountSettings(res, account, { status: 400, error: 'You are the only admin. Appoint another admin before deleting your account.' });
+      }
+      if (postsChoice === 'reassign' && !heir) {
+        return renderAccountSettings(res, account, { status: 400, error: 'There is no admin to hand your posts to. Choose to delete them instead.' });
+      }
+
+      let postCount;
+      if (postsChoice === 'reassign') {
+        postCount = await postRepo().reassignAuthor(account._id, { author: heir._id, authorName: heir.username });
+      } else {
+        const postIds = await postRepo().deleteByAuthor(account._id);
+        await commentRepo().deleteForPosts(postIds);
+        postCount = postIds.length;
+      }
+
+      await commentRepo().removeByAuthor(account._id, { renameTo: 'deleted user' });
+      // Uploads go to the heir too; whatever nothing uses any more is left for the media sweep
+      await syncAvatarMedia(account._id, null);
+      if (heir) {
+        await transferMedia(account._id, heir);
+      }
+
+      await account.deleteOne();
+      await recordAudit({
+        action: 'user.deleted',
+        actor: account,
+        target: account,
+        details: { posts: postsChoice, postCount, reassignedTo: postsChoice === 'reassign' ? heir.username : null },
+        ip: req.ip
+      });
+      console.log(`👋 ${account.username} deleted their account (${postCount} posts ${postsChoice === 'reassign' ? `reassigned to ${heir.username}` : 'deleted'})`);
+
+      req.session.destroy((err) => {
+        if (err) {
+          console.error('Session destruction error:', err);
+        }
+        res.locals.user = null;
+        res.locals.isAuthenticated = false;
+        renderNotice(res, 200, "Account deleted", "Your account has been deleted. Thank you for writing with us.");
+      });
+    } catch (error) {
+      console.error("Error deleting account:", error);
+      res.status(500).send("Error deleting account");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,499 @@
+// Admin dashboard (users, posts, comments, audit trail) and the one-time admin setup page
+import express from "express";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { body, validationResult } from "express-validator";
+import Post, { POST_STATUSES } from "../models/Post.js";
+import User from "../models/User.js";
+import AuditLog, { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { recordAudit } from "../utils/audit.js";
+import { rotateCsrfToken } from "../utils/csrf.js";
+import { isMongoConnected } from "../utils/database.js";
+import { containsPattern } from "../utils/search.js";
+import { requireAdmin } from "./middleware.js";
+
+export function createAdminRouter({ storage, limiters }) {
+  const router = express.Router();
+  const { postRepo, commentRepo } = storage;
+  const { setupLimiter } = limiters;
+
+  // Admin dashboard
+  // Every /admin route is guarded by requireAdmin; user and comment management need MongoDB
+  const ADMIN_PAGE_SIZE = 50;
+  const ADMIN_COMMENT_TABS = ['pending', 'spam', 'approved'];
+
+  const requireMongoForAdmin = (req, res, next) => {
+    if (!isMongoConnected) {
+      return res.status(503).send("This admin page is unavailable while the database is offline.");
+    }
+    next();
+  };
+
+  function readAdminPage(req) {
+    return Math.max(1, parseInt(req.query.page, 10) || 1);
+  }
+
+  // Prev/next links that keep the current filters
+  function buildAdminPagination(req, page, total) {
+    const totalPages = Math.max(1, Math.ceil(total / ADMIN_PAGE_SIZE));
+    const linkTo = (target) => {
+      const params = new URLSearchParams();
+      Object.entries(req.query).forEach(([key, value]) => {
+        if (key !== 'page' && typeof value === 'string' && value) params.set(key, value);
+      });
+      if (target > 1) params.set('page', target);
+      const query = params.toString();
+      return `${req.baseUrl}${req.path}${query ? `?${query}` : ''}`;
+    };
+    return {
+      page,
+      totalPages,
+      total,
+      prevUrl: page > 1 ? linkTo(page - 1) : null,
+      nextUrl: page < totalPages ? linkTo(page + 1) : null
+    };
+  }
+
+  // Forms post back a returnTo so actions land on the same filtered list
+  function redirectBackToAdmin(req, res, fallback) {
+    const { returnTo } = req.body;
+    const safe = typeof returnTo === 'string' && returnTo.startsWith('/admin') && !returnTo.startsWith('//');
+    res.redirect(safe ? returnTo : fallback);
+  }
+
+  // Checkbox lists arrive as a string for one box and an array for several
+  function readSelectedIds(req) {
+    return [].concat(req.body.ids || []).filter(id => typeof id === 'string' && id);
+  }
+
+  router.get("/admin", requireAdmin, async (req, res) => {
+    try {
+      const postCounts = {
+        ...Object.fromEntries(POST_STATUSES.map(status => [status, 0])),
+        ...await postRepo().countByStatus()
+      };
+      let stats = { users: null, suspended: null, comments: null, pendingComments: null };
+      let recentUsers = [];
+
+      // Accounts, and so comments, only exist in MongoDB
+      if (isMongoConnected) {
+        const [users, suspended, commentCounts, latest] = await Promise.all([
+          User.countDocuments(),
+          User.countDocuments({ suspendedAt: { $ne: null } }),
+          commentRepo().countByStatus(),
+          User.find({}, { username: 1, role: 1, createdAt: 1 }).sort({ createdAt: -1 }).limit(5)
+        ]);
+        const comments = Object.values(commentCounts).reduce((sum, count) => sum + count, 0);
+        stats = { users, suspended, comments, pendingComments: commentCounts.pending || 0 };
+        recentUsers = latest;
+      }
+
+      res.render("admin-dashboard.ejs", {
+        stats,
+        postCounts,
+        recentUsers,
+        isMongoConnected,
+        adminSection: 'overview',
+        currentPage: 'admin',
+        selectedCategory: null
+      });
+    } catch (error) {
+      console.error('Error loading admin dashboard:', error);
+      res.status(500).send("Error loading admin dashboard.");
+    }
+  });
+
+  // Users with role, last login and post counts
+  router.get("/admin/users", requireAdmin, requireMongoForAdmin, async (req, res) => {
+    try {
+      const { q, role, state } = req.query;
+      const filter = {};
+      if (q) {
+        filter.$or = [{ username: containsPattern(q) }, { email: containsPattern(q) }];
+      }
+      if (['user', 'admin'].includes(role)) {
+        filter.role = role;
+      }
+      if (state === 'suspended') {
+        filter.suspendedAt = { $ne: null };
+      } else if (state === 'active') {
+        filter.suspendedAt = null;
+      } else if (state === 'locked') {
+        filter.lockedUntil = { $gt: new Date() };
+      }
+
+      const page = readAdminPage(req);
+      const [users, total] = await Promise.all([
+        User.find(filter).sort({ createdAt: -1 }).skip((page - 1) * ADMIN_PAGE_SIZE).limit(ADMIN_PAGE_SIZE),
+        User.countDocuments(filter)
+      ]);
+
+      const counts = await Post.aggregate([
+        { $match: { author: { $in: users.map(user => user._id) } } },
+        { $group: { _id: '$author', count: { $sum: 1 } } }
+      ]);
+      const postCounts = new Map(counts.map(entry => [String(entry._id), entry.count]));
+
+      res.render("admin-users.ejs", {
+        users,
+        postCounts,
+        filters: { q: q || '', role: role || '', state: state || '' },
+        pagination: buildAdminPagination(req, page, total),
+        adminSection: 'users',
+        currentUrl: req.originalUrl,
+        currentPage: 'admin',
+        selectedCategory: null
+      });
+    } catch (error) {
+      console.error('Error loading admin users:', error);
+      res.status(500).send("Error loading users.");
+    }
+  });
+
+  // Change role, suspend or reinstate an account
+  router.post("/admin/users/:userId/:action", requireAdmin, requireMongoForAdmin, async (req, res) => {
+    try {
+      const { userId, action } = req.params;
+      if (!['role', 'suspend', 'unsuspend', 'unlock', 'reset-2fa'].includes(action)) {
+        return res.status(404).send("Unknown user action.");
+      }
+
+      const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+      if (!user) {
+        return res.status(404).send("User not found.");
+      }
+      if (String(user._id) === String(req.session.user.id)) {
+        return res.status(400).send("You cannot change your own role or suspend your own account.");
+      }
+
+      let audit;
+      if (action === 'role') {
+        const { role } = req.body;
+        if (!['user', 'admin'].includes(role)) {
+          return res.status(400).send("Role must be user or admin.");
+        }
+        if (user.role === 'admin' && role !== 'admin' && await User.countDocuments({ role: 'admin' }) <= 1) {
+          return res.status(400).send("The blog needs at least one admin.");
+        }
+        if (user.role === role) {
+          return redirectBackToAdmin(req, res, '/admin/users');
+        }
+        audit = { action: 'user.role_changed', details: { from: user.role, to: role } };
+        user.role = role;
+      } else if (action === 'unlock') {
+        user.failedLoginAttempts = 0;
+        user.lockedUntil = null;
+        audit = { action: 'user.unlocked', details: { method: 'admin' } };
+      } else if (action === 'reset-2fa') {
+        // For a lost phone: the user signs in with their password alone and enrols again
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = null;
+        user.twoFactorRecoveryCodes = [];
+        user.twoFactorLastStep = null;
+        audit = { action: 'user.2fa_disabled', details: { method: 'admin' } };
+      } else {
+        user.suspendedAt = action === 'suspend' ? new Date() : null;
+        audit = { action: action === 'suspend' ? 'user.suspended' : 'user.unsuspended' };
+      }
+
+      await user.save();
+      await recordAudit({ ...audit, actor: req.session.user, target: user, ip: req.ip });
+      const summary = {
+        role: `set role of ${user.username} to ${user.role}`,
+        'reset-2fa': `reset two-factor authentication for ${user.username}`
+      };
+      console.log(`🛠️ ${req.session.user.username} ${summary[action] || `${action}ed ${user.username}`}`);
+      redirectBackToAdmin(req, res, '/admin/users');
+    } catch (error) {
+      console.error('Error updating user:', error);
+      res.status(500).send("Error updating user.");
+    }
+  });
+
+  // Audit trail of admin actions, newest first
+  router.get("/admin/audit", requireAdmin, requireMongoForAdmin, async (req, res) => {
+    try {
+      const { action, user: username } = req.query;
+      const filter = {};
+      if (AUDIT_ACTIONS.includes(action)) {
+        filter.action = action;
+      }
+      if (username) {
+        filter.$or = [{ 'actor.username': containsPattern(username) }, { 'target.username': containsPattern(username) }];
+      }
+
+      const page = readAdminPage(req);
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * ADMIN_PAGE_SIZE).limit(ADMIN_PAGE_SIZE),
+        AuditLog.countDocuments(filter)
+      ]);
+
+      res.render("admin-audit.ejs", {
+        entries,
+        actions: AUDIT_ACTIONS,
+        filters: { action: action || '', user: username || '' },
+        pagination: buildAdminPagination(req, page, total),
+        adminSection: 'audit',
+        currentUrl: req.originalUrl,
+        currentPage: 'admin',
+        selectedCategory: null
+      });
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      res.status(500).send("Error loading audit log.");
+    }
+  });
+
+  // All posts, any status, with filtering
+  router.get("/admin/posts", requireAdmin, async (req, res) => {
+    try {
+      const { q, status, category, author } = req.query;
+      const page = readAdminPage(req);
+      const [{ posts, total }, categories] = await Promise.all([
+        postRepo().list({ q, status, category, author, page, limit: ADMIN_PAGE_SIZE }),
+        postRepo().categories()
+      ]);
+
+      res.render("admin-posts.ejs", {
+        posts,
+        categories,
+        statuses: POST_STATUSES,
+        filters: { q: q || '', status: status || '', category: category || '', author: author || '' },
+        pagination: buildAdminPagination(req, page, total),
+        adminSection: 'posts',
+        currentUrl: req.originalUrl,
+        currentPage: 'admin',
+        selectedCategory: null
+      });
+    } catch (error) {
+      console.error('Error loading admin posts:', error);
+      res.status(500).send("Error loading posts.");
+    }
+  });
+
+  // Delete the selected posts together with their revisions and comments
+  router.post("/admin/posts/bulk-delete", requireAdmin, async (req, res) => {
+    try {
+      const ids = readSelectedIds(req);
+      const deleted = await postRepo().deleteMany(ids);
+      await commentRepo().deleteForPosts(ids);
+
+      console.log(`🗑️ ${req.session.user.username} bulk deleted ${deleted} posts`);
+      // The audit log lives in MongoDB; offline deletes are only logged
+      if (isMongoConnected) {
+        await recordAudit({ action: 'post.bulk_deleted', actor: req.session.user, details: { count: deleted, ids }, ip: req.ip });
+      }
+      redirectBackToAdmin(req, res, '/admin/posts');
+    } catch (error) {
+      console.error('Error bulk deleting posts:', error);
+      res.status(500).send("Error deleting posts.");
+    }
+  });
+
+  // Comments by moderation state, with filtering
+  router.get("/admin/comments", requireAdmin, requireMongoForAdmin, async (req, res) => {
+    try {
+      const { q, author } = req.query;
+      const queue = ADMIN_COMMENT_TABS.includes(req.query.status) ? req.query.status : 'pending';
+      const page = readAdminPage(req);
+      const [{ comments, total }, counts] = await Promise.all([
+        commentRepo().list({ status: queue, q, author, page, limit: ADMIN_PAGE_SIZE }),
+        commentRepo().countByStatus()
+      ]);
+
+      // Show which post each comment belongs to
+      const postIds = [...new Set(comments.map(comment => comment.postId))];
+      const posts = (await Promise.all(postIds.map(id => postRepo().findById(id)))).filter(Boolean);
+      const postTitles = new Map(posts.map(post => [String(post._id), post.title]));
+
+      res.render("admin-comments.ejs", {
+        comments,
+        postTitles,
+        queue,
+        counts: { pending: counts.pending || 0, spam: counts.spam || 0 },
+        filters: { q: q || '', author: author || '' },
+        pagination: buildAdminPagination(req, page, total),
+        adminSection: 'comments',
+        currentUrl: req.originalUrl,
+        currentPage: 'admin',
+        selectedCategory: null
+      });
+    } catch (error) {
+      console.error('Error loading admin comments:', error);
+      res.status(500).send("Error loading comments.");
+    }
+  });
+
+  // Delete the selected comments (threads with replies keep a placeholder)
+  router.post("/admin/comments/bulk-delete", requireAdmin, requireMongoForAdmin, async (req, res) => {
+    try {
+      const ids = [];
+      for (const id of readSelectedIds(req)) {
+        const comment = await commentRepo().findById(id);
+        if (comment && !comment.deletedAt && await commentRepo().remove(id)) ids.push(id);
+      }
+
+      console.log(`🗑️ ${req.session.user.username} bulk deleted ${ids.length} comments`);
+      await recordAudit({ action: 'comment.bulk_deleted', actor: req.session.user, details: { count: ids.length, ids }, ip: req.ip });
+      redirectBackToAdmin(req, res, '/admin/comments');
+    } catch (error) {
+      console.error('Error bulk deleting comments:', error);
+      res.status(500).send("Error deleting comments.");
+    }
+  });
+
+  // Approve, reject (delete) or ban the author of a comment
+  router.post("/admin/comments/:commentId/:action", requireAdmin, requireMongoForAdmin, async (req, res) => {
+    try {
+      const { commentId, action } = req.params;
+      if (!['approve', 'reject', 'ban'].includes(action)) {
+        return res.status(404).send("Unknown moderation action.");
+      }
+
+      const comment = await commentRepo().findById(commentId);
+      if (!comment) {
+        return res.status(404).send("Comment not found.");
+      }
+      const fallback = `/admin/comments?status=${comment.status}`;
+      const moderator = req.session.user.username;
+
+      if (action === 'approve') {
+        await commentRepo().update(commentId, { status: 'approved', moderatedBy: moderator, moderatedAt: new Date() });
+      } else if (action === 'reject') {
+        await commentRepo().remove(commentId);
+      } else {
+        // Ban stops future comments and moves everything the author still has in review to spam
+        await User.updateOne({ _id: comment.author.userId }, { $set: { commentsBannedAt: new Date() } });
+        await commentRepo().flagPendingByAuthor(comment.author.userId, { reason: 'Author banned', moderatedBy: moderator });
+      }
+
+      console.log(`🛡️ Comment ${comment._id} by ${comment.author.username}: ${action} by ${moderator}`);
+      redirectBackToAdmin(req, res, fallback);
+    } catch (error) {
+      console.error('Error moderating comment:', error);
+      res.status(500).send("Error moderating comment.");
+    }
+  });
+
+  // Admin bootstrap (one-time, for the blog owner)
+  // The first admin is created with `npm run create-admin`, or here with the ADMIN_SETUP_TOKEN from the
+  // environment. The page disappears for good once any admin exists.
+  const MIN_SETUP_TOKEN_LENGTH = 16;
+
+  function isSetupTokenConfigured() {
+    return (process.env.ADMIN_SETUP_TOKEN || '').length >= MIN_SETUP_TOKEN_LENGTH;
+  }
+
+  // Compare digests so the check takes the same time whatever the input
+  function setupTokenMatches(candidate) {
+    if (!isSetupTokenConfigured() || typeof candidate !== 'string') return false;
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(candidate), digest(process.env.ADMIN_SETUP_TOKEN));
+  }
+
+  // Resolves to an error message when setup is not available, or null when it is
+  async function adminSetupUnavailable() {
+    if (!isMongoConnected) {
+      return "Database unavailable. Admin setup requires database connection.";
+    }
+    if (await User.exists({ role: 'admin' })) {
+      return "Admin account already exists. This setup is no longer available.";
+    }
+    if (!isSetupTokenConfigured()) {
+      return `Admin setup is disabled. Set ADMIN_SETUP_TOKEN (at least ${MIN_SETUP_TOKEN_LENGTH} characters) or run \`npm run create-admin\`.`;
+    }
+    return null;
+  }
+
+  router.get("/admin-setup", async (req, res) => {
+    try {
+      const unavailable = await adminSetupUnavailable();
+      if (unavailable) {
+        return res.status(isMongoConnected ? 404 : 503).send(unavailable);
+      }
+
+      res.render("admin-setup.ejs", {
+        error: null,
+        token: typeof req.query.token === 'string' ? req.query.token : '',
+        values: {},
+        selectedCategory: null
+      });
+    } catch (error) {
+      console.error("Admin setup error:", error);
+      res.status(500).send("Error accessing admin setup");
+    }
+  });
+
+  router.post("/admin-setup", setupLimiter, [
+    body('username').isLength({ min: 3, max: 30 }).withMessage('Username must be 3-30 characters long')
+      .matches(/^[a-zA-Z0-9_]+$/).withMessage('Username can only contain letters, numbers, and underscores'),
+    body('email').isEmail().withMessage('Please enter a valid email address'),
+    body('password').isLength({ min: 8 }).withMessage('Admin password must be at least 8 characters long')
+  ], async (req, res) => {
+    const { token, username, email, password } = req.body;
+    const renderSetup = (status, error) => res.status(status).render("admin-setup.ejs", {
+      error,
+      token: '',
+      values: { username, email },
+      selectedCategory: null
+    });
+
+    try {
+      const unavailable = await adminSetupUnavailable();
+      if (unavailable) {
+        return res.status(isMongoConnected ? 404 : 503).send(unavailable);
+      }
+
+      if (!setupTokenMatches(token)) {
+        console.log(`⚠️ Rejected admin setup attempt with an invalid token from ${req.ip}`);
+        return renderSetup(403, "Invalid setup token.");
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return renderSetup(400, errors.array()[0].msg);
+      }
+
+      // Create admin user
+      const adminUser = new User({
+        username: username.trim(),
+        email: email.trim().toLowerCase(),
+        password: password,
+        role: 'admin',
+        isVerified: true,
+        emailVerifiedAt: new Date()
+      });
+
+      await adminUser.save();
+      await recordAudit({ action: 'admin.created', actor: adminUser, target: adminUser, details: { method: 'setup-token' }, ip: req.ip });
+
+      // Automatically log in the new admin
+      req.session.user = {
+        id: adminUser._id,
+        username: adminUser.username,
+        email: adminUser.email,
+        role: adminUser.role,
+        isVerified: true
+      };
+      rotateCsrfToken(req);
+
+      console.log(`🔐 Admin account created: ${adminUser.username} (${adminUser.email})`);
+      res.redirect('/admin');
+    } catch (error) {
+      console.error("Admin setup error:", error);
+      let errorMessage = "Error creating admin account";
+
+      if (error.code === 11000) {
+        if (error.keyPattern.username) {
+          errorMessage = "Username already taken";
+        } else if (error.keyPattern.email) {
+          errorMessage = "Email already registered";
+        }
+      }
+
+      renderSetup(error.code === 11000 ? 409 : 500, errorMessage);
+    }
+  });
+
+  return router;
+}
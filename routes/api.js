@@ -0,0 +1,306 @@
+// JSON REST API, mounted under /api (route paths below are relative to it)
+import express from "express";
+import { body, validationResult } from "express-validator";
+import { POST_STATUSES } from "../models/Post.js";
+import { getCsrfToken } from "../utils/csrf.js";
+import { isUploadUrl } from "../utils/images.js";
+import { renderMarkdown } from "../utils/markdown.js";
+import { canViewPost, isPostOwner, parsePublishAt, resolvePublishState } from "../utils/postAccess.js";
+import { snapshotPost, recordRevision } from "../utils/revisions.js";
+import { sanitizeInput } from "../utils/sanitize.js";
+import { runSearch, readSearchParams, SEARCH_PAGE_SIZE } from "../utils/search.js";
+import { importFeaturedImage } from "../utils/uploads.js";
+import { apiErrorHandler, requireApiAuth } from "./middleware.js";
+
+export function createApiRouter({ storage, uploadStorage, limiters }) {
+  const router = express.Router();
+  const { postRepo, commentRepo } = storage;
+  const { postLimiter, previewLimiter } = limiters;
+
+  // Route to get existing categories for auto-suggestions
+  router.get("/categories", async (req, res) => {
+    try {
+      res.json(await postRepo().categories({ publishedOnly: true }));
+    } catch (err) {
+      console.error("Error fetching categories:", err);
+      res.json(["Daily Reflections"]); // Default fallback
+    }
+  });
+
+  // JSON REST API (v1)
+  // Same ownership rules as canEditPost, but every response is JSON instead of a redirect or HTML page
+  const API_MAX_PAGE_SIZE = 50;
+
+  // Loads the post into req.post and enforces ownership, answering in JSON
+  const canEditPostApi = async (req, res, next) => {
+    try {
+      const post = await postRepo().findById(req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+      if (!isPostOwner(req.session.user, post)) {
+        return res.status(403).json({ error: "You can only modify your own posts" });
+      }
+      req.post = post;
+      next();
+    } catch (err) {
+      console.error("Error checking post ownership (API):", err);
+      res.status(500).json({ error: "Error checking post permissions" });
+    }
+  };
+
+  // Shape a Mongo document or fallback object into the public API representation
+  function serializePost(post) {
+    const data = typeof post.toObject === 'function' ? post.toObject() : post;
+    return {
+      id: String(data._id),
+      slug: data.slug || null,
+      title: data.title,
+      body: data.body,
+      bodyHtml: renderMarkdown(data.body),
+      category: data.category,
+      excerpt: data.excerpt || '',
+      tags: data.tags || [],
+      featuredImage: data.featuredImage || null,
+      readingTime: data.readingTime || 1,
+      author: data.author ? String(data.author) : null,
+      authorName: data.authorName || null,
+      status: data.status || 'published',
+      publishAt: data.publishAt || null,
+      publishedAt: data.publishedAt || null,
+      createdAt: data.createdAt,
+      updatedAt: data.updatedAt || data.createdAt
+    };
+  }
+
+  // Accept tags either as a JSON array or as a comma-separated string
+  function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    return list
+      .map(tag => sanitizeInput(String(tag).trim()))
+      .filter(tag => tag);
+  }
+
+  // Input validation for API payloads; `partial` makes every field optional (PATCH)
+  function validateApiPost(partial) {
+    const required = (field) => partial ? body(field).optional() : body(field).exists().withMessage(`${field} is required`).bail();
+    return [
+      required('title')
+        .isString().withMessage('title must be a string').bail()
+        .trim()
+        .isLength({ min: 1, max: 200 }).withMessage('title must be between 1 and 200 characters'),
+      required('body')
+        .isString().withMessage('body must be a string').bail()
+        .trim()
+        .isLength({ min: 1, max: 10000 }).withMessage('body must be between 1 and 10,000 characters'),
+      body('category')
+        .optional()
+        .isString().withMessage('category must be a string').bail()
+        .trim()
+        .isLength({ min: 1, max: 50 }).withMessage('category must be between 1 and 50 characters'),
+      body('excerpt')
+        .optional()
+        .isString().withMessage('excerpt must be a string').bail()
+        .trim()
+        .isLength({ max: 200 }).withMessage('excerpt must be less than 200 characters'),
+      body('tags')
+        .optional()
+        .custom(value => Array.isArray(value) ? value.every(tag => typeof tag === 'string' && tag.length <= 30) : typeof value === 'string')
+        .withMessage('tags must be an array of strings (max 30 characters each) or a comma-separated string'),
+      body('featuredImage')
+        .optional({ values: 'null' })
+        .if(value => !isUploadUrl(value))
+        .isURL({ protocols: ['http', 'https'], require_tld: false }).withMessage('featuredImage must be a valid URL'),
+      body('status')
+        .optional()
+        .isIn(POST_STATUSES).withMessage(`status must be one of: ${POST_STATUSES.join(', ')}`),
+      body('publishAt')
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('publishAt must be an ISO 8601 date')
+    ];
+  }
+
+  function sendApiValidationErrors(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+    const details = errors.array().map(err => ({ field: err.path, message: err.msg }));
+    res.status(400).json({ error: details[0].message, details });
+    return true;
+  }
+
+  // Pick the supplied fields from the request body, sanitized the same way as the HTML forms
+  function pickPostFields(payload) {
+    const fields = {};
+    if (payload.title !== undefined) fields.title = sanitizeInput(payload.title);
+    if (payload.body !== undefined) fields.body = payload.body; // Markdown source, sanitized on render
+    if (payload.category !== undefined) fields.category = sanitizeInput(payload.category);
+    if (payload.excerpt !== undefined) fields.excerpt = sanitizeInput(payload.excerpt);
+    if (payload.tags !== undefined) fields.tags = normalizeTags(payload.tags);
+    if (payload.featuredImage !== undefined) fields.featuredImage = payload.featuredImage ? payload.featuredImage.trim() : null;
+    return fields;
+  }
+
+  // CSRF token for API clients that authenticate with the session cookie
+  router.get("/v1/csrf-token", (req, res) => {
+    res.json({ csrfToken: getCsrfToken(req) });
+  });
+
+  // List posts (newest first) with optional category filter and page/limit
+  router.get("/v1/posts", async (req, res) => {
+    try {
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(API_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 20));
+      const category = req.query.category ? String(req.query.category) : null;
+      const { posts, total } = await postRepo().listPublished({ category, page, limit });
+
+      res.json({
+        data: posts.map(serializePost),
+        meta: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      });
+    } catch (err) {
+      console.error("Error listing posts (API):", err);
+      res.status(500).json({ error: "Error fetching posts" });
+    }
+  });
+
+  router.get("/v1/search", async (req, res) => {
+    const { query, page } = readSearchParams(req);
+    if (!query) {
+      return res.status(400).json({ error: "Query parameter q is required" });
+    }
+    try {
+      const { results, total } = await runSearch(postRepo(), query, page);
+      res.json({
+        data: results.map(({ post, score, titleHtml, snippet }) => ({
+          ...serializePost(post),
+          score,
+          highlights: { title: titleHtml, snippet }
+        })),
+        meta: { query, page, limit: SEARCH_PAGE_SIZE, total, totalPages: Math.ceil(total / SEARCH_PAGE_SIZE) }
+      });
+    } catch (err) {
+      console.error("Error searching posts (API):", err);
+      res.status(500).json({ error: "Error searching posts" });
+    }
+  });
+
+  // Live Markdown preview for the compose/edit forms: same renderer and sanitizer as /posts/:id
+  router.post("/v1/markdown/preview", requireApiAuth, previewLimiter, [
+    body('markdown')
+      .isString().withMessage('markdown must be a string').bail()
+      .isLength({ max: 10000 }).withMessage('markdown must be at most 10,000 characters')
+  ], (req, res) => {
+    if (sendApiValidationErrors(req, res)) return;
+    res.json({ html: renderMarkdown(req.body.markdown) });
+  });
+
+  router.get("/v1/posts/:id", async (req, res) => {
+    try {
+      const post = await postRepo().findById(req.params.id);
+      if (!post || !canViewPost(req.session.user, post)) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+      res.json({ data: serializePost(post) });
+    } catch (err) {
+      console.error("Error fetching post (API):", err);
+      res.status(500).json({ error: "Error fetching post" });
+    }
+  });
+
+  router.post("/v1/posts", requireApiAuth, postLimiter, validateApiPost(false), async (req, res) => {
+    if (sendApiValidationErrors(req, res)) return;
+
+    const fields = pickPostFields(req.body);
+    fields.category = fields.category || 'Daily Reflections';
+    fields.tags = fields.tags || [];
+
+    const publishState = resolvePublishState(req.body.status, parsePublishAt(req.body.publishAt));
+    if (publishState.error) {
+      return res.status(400).json({ error: publishState.error });
+    }
+    Object.assign(fields, publishState);
+
+    try {
+      if (fields.featuredImage) {
+        fields.featuredImage = await importFeaturedImage(fields.featuredImage, { uploadStorage, user: req.session.user });
+      }
+      const post = await postRepo().create({
+        ...fields,
+        author: req.session.user.id,
+        authorName: req.session.user.username
+      });
+      res.status(201).location(`${req.baseUrl}/v1/posts/${post._id}`).json({ data: serializePost(post) });
+    } catch (err) {
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({ error: Object.values(err.errors)[0].message });
+      }
+      if (err.status === 400) {
+        return res.status(400).json({ error: err.message, details: [{ field: 'featuredImage', message: err.message }] });
+      }
+      console.error("Error creating post (API):", err);
+      res.status(500).json({ error: "Error creating post" });
+    }
+  });
+
+  router.patch("/v1/posts/:id", requireApiAuth, canEditPostApi, validateApiPost(true), async (req, res) => {
+    if (sendApiValidationErrors(req, res)) return;
+
+    const fields = pickPostFields(req.body);
+    if (req.body.status !== undefined || req.body.publishAt !== undefined) {
+      const publishState = resolvePublishState(req.body.status, parsePublishAt(req.body.publishAt), req.post);
+      if (publishState.error) {
+        return res.status(400).json({ error: publishState.error });
+      }
+      Object.assign(fields, publishState);
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: "No updatable fields supplied" });
+    }
+
+    try {
+      if (fields.featuredImage) {
+        fields.featuredImage = await importFeaturedImage(fields.featuredImage, {
+          uploadStorage,
+          user: req.session.user,
+          current: req.post.featuredImage
+        });
+      }
+      const previousSnapshot = snapshotPost(req.post);
+      const post = await postRepo().update(req.post._id, fields);
+      if (!post) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+      await recordRevision(postRepo(), post, previousSnapshot, req.session.user);
+      res.json({ data: serializePost(post) });
+    } catch (err) {
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({ error: Object.values(err.errors)[0].message });
+      }
+      if (err.status === 400) {
+        return res.status(400).json({ error: err.message, details: [{ field: 'featuredImage', message: err.message }] });
+      }
+      console.error("Error updating post (API):", err);
+      res.status(500).json({ error: "Error updating post" });
+    }
+  });
+
+  router.delete("/v1/posts/:id", requireApiAuth, canEditPostApi, async (req, res) => {
+    try {
+      await postRepo().delete(req.post._id);
+      await commentRepo().deleteForPosts([req.post._id]);
+      res.status(204).end();
+    } catch (err) {
+      console.error("Error deleting post (API):", err);
+      res.status(500).json({ error: "Error deleting post" });
+    }
+  });
+
+  // Unknown API routes and API errors (e.g. malformed JSON) answer in JSON, not HTML
+  router.use((req, res) => {
+    res.status(404).json({ error: "Not found" });
+  });
+
+  router.use(apiErrorHandler);
+
+  return router;
+}
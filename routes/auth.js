@@ -0,0 +1,530 @@
+// Sign-in (with the two-factor step and lockout), signup, email verification, account unlock, password reset and logout
+import express from "express";
+import mongoose from "mongoose";
+import { body, validationResult } from "express-validator";
+import User from "../models/User.js";
+import { recordAudit } from "../utils/audit.js";
+import { rotateCsrfToken } from "../utils/csrf.js";
+import { isMongoConnected } from "../utils/database.js";
+import { readSignedToken, tokenMatchesUser } from "../utils/tokens.js";
+import { requireAuth, renderNotice } from "./middleware.js";
+
+export function createAuthRouter({ accountEmails, limiters }) {
+  const router = express.Router();
+  const { sendVerificationEmail, sendPasswordResetEmail, sendUnlockEmail } = accountEmails;
+  const { accountEmailLimiter } = limiters;
+
+  // Login throttling
+  // Accounts lock after repeated failures (LOCKOUT_THRESHOLD in models/User.js). Separately, a burst of
+  // failures from one address, whichever accounts it tries, is written to the audit log once per window.
+  const LOGIN_BURST_WINDOW_MS = 15 * 60 * 1000;
+  const LOGIN_BURST_THRESHOLD = 20;
+  const failedLoginsByIp = new Map();
+
+  async function noteFailedLogin(req, usernameOrEmail) {
+    const now = Date.now();
+    if (failedLoginsByIp.size > 10000) {
+      failedLoginsByIp.forEach((entry, ip) => {
+        if (now - entry.windowStart > LOGIN_BURST_WINDOW_MS) failedLoginsByIp.delete(ip);
+      });
+    }
+
+    let entry = failedLoginsByIp.get(req.ip);
+    if (!entry || now - entry.windowStart > LOGIN_BURST_WINDOW_MS) {
+      entry = { windowStart: now, failures: 0, accounts: new Set(), reported: false };
+      failedLoginsByIp.set(req.ip, entry);
+    }
+    entry.failures += 1;
+    entry.accounts.add(String(usernameOrEmail).toLowerCase().slice(0, 100));
+
+    if (entry.failures >= LOGIN_BURST_THRESHOLD && !entry.reported) {
+      entry.reported = true;
+      console.log(`🚨 ${entry.failures} failed logins from ${req.ip} against ${entry.accounts.size} account(s)`);
+      await recordAudit({
+        action: 'login.burst',
+        details: { failures: entry.failures, accounts: entry.accounts.size, windowMinutes: LOGIN_BURST_WINDOW_MS / 60000 },
+        ip: req.ip
+      });
+    }
+  }
+
+  // Audit and email the owner when a failure has just locked the account; explain the lock either way
+  async function lockedAccountMessage(req, error) {
+    const { user, justLocked } = error;
+    if (justLocked) {
+      console.log(`🔒 Locked ${user.username} until ${user.lockedUntil.toISOString()} after ${user.failedLoginAttempts} failed logins`);
+      await recordAudit({
+        action: 'user.locked',
+        target: user,
+        details: { failures: user.failedLoginAttempts, until: user.lockedUntil.toISOString() },
+        ip: req.ip
+      });
+      await sendUnlockEmail(req, user);
+    }
+    const minutes = Math.max(1, Math.ceil((user.lockedUntil - Date.now()) / 60000));
+    return `Too many failed sign-in attempts. This account is locked for ${minutes} more minute${minutes === 1 ? '' : 's'}; we emailed the owner a link to unlock it sooner.`;
+  }
+
+  // Sign-in helpers
+  // A password check alone leaves two-factor accounts in req.session.pendingLogin until /login/2fa succeeds
+  const PENDING_LOGIN_TTL = 5 * 60 * 1000;
+
+  async function completeLogin(req, user) {
+    await user.updateLastLogin();
+
+    delete req.session.pendingLogin;
+    req.session.user = {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      isVerified: user.isVerified,
+      twoFactorEnabled: user.twoFactorEnabled
+    };
+    rotateCsrfToken(req);
+
+    console.log(`✅ User logged in: ${user.username}, Session ID: ${req.sessionID}`);
+    console.log(`🍪 Cookie secure: ${req.session.cookie.secure}, Environment: ${process.env.NODE_ENV}`);
+  }
+
+  // The user waiting for their second step, or null once the pending login is missing or expired
+  async function findPendingLoginUser(req) {
+    const pending = req.session.pendingLogin;
+    if (!pending || pending.expiresAt < Date.now() || !isMongoConnected) {
+      delete req.session.pendingLogin;
+      return null;
+    }
+    const user = await User.findById(pending.userId);
+    if (!user || user.suspendedAt || !user.twoFactorEnabled) {
+      delete req.session.pendingLogin;
+      return null;
+    }
+    return user;
+  }
+
+  // Authentication Routes
+  router.get("/login", (req, res) => {
+    if (req.session.user) {
+      return res.redirect('/');
+    }
+    // Notices after a password reset or an expired session link
+    const notices = {
+      'password-reset': 'Your password has been changed. Please sign in with the new password.',
+      'unlocked': 'Your account is unlocked. You can sign in again.'
+    };
+    res.render("login.ejs", { error: null, notice: notices[req.query.notice] || null, isMongoConnected });
+  });
+
+  router.post("/login", [
+    body('usernameOrEmail').notEmpty().withMessage('Username or email is required'),
+    body('password').notEmpty().withMessage('Password is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.render("login.ejs", { 
+          error: errors.array()[0].msg, 
+          isMongoConnected 
+        });
+      }
+
+      const { usernameOrEmail, password } = req.body;
+
+      if (isMongoConnected) {
+        try {
+          const user = await User.findByCredentials(usernameOrEmail, password);
+          if (user.suspendedAt) {
+            return res.render("login.ejs", { 
+              error: "This account has been suspended. Please contact the blog owner.", 
+              isMongoConnected 
+            });
+          }
+
+          // The password was right; accounts with two-factor on still need a code before the session is theirs
+          if (user.twoFactorEnabled) {
+            req.session.pendingLogin = { userId: String(user._id), expiresAt: Date.now() + PENDING_LOGIN_TTL };
+            return res.redirect('/login/2fa');
+          }
+
+          await completeLogin(req, user);
+          res.redirect('/');
+        } catch (error) {
+          await noteFailedLogin(req, usernameOrEmail);
+          if (error.code === 'ACCOUNT_LOCKED') {
+            return res.render("login.ejs", { 
+              error: await lockedAccountMessage(req, error), 
+              isMongoConnected 
+            });
+          }
+          res.render("login.ejs", { 
+            error: "Invalid username/email or password", 
+            isMongoConnected 
+          });
+        }
+      } else {
+        // Fallback authentication for offline mode
+        const fallbackUsername = process.env.FALLBACK_ADMIN_USERNAME || 'admin';
+        const fallbackPassword = process.env.FALLBACK_ADMIN_PASSWORD || 'admin123';
+
+        if (usernameOrEmail === fallbackUsername && password === fallbackPassword) {
+          req.session.user = {
+            id: 'offline-admin',
+            username: fallbackUsername,
+            email: 'admin@localhost',
+            role: 'admin',
+            isVerified: true
+          };
+          rotateCsrfToken(req);
+          res.redirect('/');
+        } else {
+          res.render("login.ejs", { 
+            error: `Offline mode: Use ${fallbackUsername}/${fallbackPassword} for demo access`, 
+            isMongoConnected 
+          });
+        }
+      }
+    } catch (error) {
+      console.error("Login error:", error);
+      res.render("login.ejs", { 
+        error: "An error occurred during login", 
+        isMongoConnected 
+      });
+    }
+  });
+
+  // Second login step for accounts with two-factor authentication
+  router.get("/login/2fa", async (req, res) => {
+    try {
+      const user = await findPendingLoginUser(req);
+      if (!user) {
+        return res.redirect('/login');
+      }
+      res.render("login-2fa.ejs", { error: null });
+    } catch (error) {
+      console.error("Two-factor login error:", error);
+      res.status(500).send("Error loading two-factor sign-in");
+    }
+  });
+
+  router.post("/login/2fa", async (req, res) => {
+    try {
+      const user = await findPendingLoginUser(req);
+      if (!user) {
+        return res.render("login.ejs", { 
+          error: "Your sign-in took too long. Please enter your password again.", 
+          isMongoConnected 
+        });
+      }
+      if (user.isLocked()) {
+        delete req.session.pendingLogin;
+        return res.render("login.ejs", { 
+          error: await lockedAccountMessage(req, { user, justLocked: false }), 
+          isMongoConnected 
+        });
+      }
+
+      const method = await user.useTwoFactorCode(req.body.code);
+      if (!method) {
+        // Wrong codes count towards the same lockout as wrong passwords
+        await noteFailedLogin(req, user.username);
+        const justLocked = await user.registerFailedLogin();
+        if (justLocked) {
+          delete req.session.pendingLogin;
+          return res.render("login.ejs", { 
+            error: await lockedAccountMessage(req, { user, justLocked }), 
+            isMongoConnected 
+          });
+        }
+        return res.render("login-2fa.ejs", { error: "That code is not valid. Try the current code from your app, or a recovery code." });
+      }
+
+      if (method === 'recovery') {
+        const remaining = user.twoFactorRecoveryCodes.length;
+        console.log(`🔑 ${user.username} signed in with a recovery code (${remaining} left)`);
+        await recordAudit({ action: 'user.2fa_recovery_used', actor: user, target: user, details: { remaining }, ip: req.ip });
+      }
+      if (user.failedLoginAttempts > 0) {
+        await user.unlock();
+      }
+
+      await completeLogin(req, user);
+      res.redirect(method === 'recovery' ? '/settings/security?notice=recovery-used' : '/');
+    } catch (error) {
+      console.error("Two-factor login error:", error);
+      res.status(500).send("Error completing sign-in");
+    }
+  });
+
+  router.get("/signup", (req, res) => {
+    if (req.session.user) {
+      return res.redirect('/');
+    }
+    res.render("signup.ejs", { error: null, success: null, isMongoConnected });
+  });
+
+  router.post("/signup", [
+    body('username')
+      .isLength({ min: 3, max: 30 })
+      .withMessage('Username must be 3-30 characters long')
+      .matches(/^[a-zA-Z0-9_]+$/)
+      .withMessage('Username can only contain letters, numbers, and underscores'),
+    body('email')
+      .isEmail()
+      .withMessage('Please enter a valid email address'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+    body('confirmPassword')
+      .custom((value, { req }) => {
+        if (value !== req.body.password) {
+          throw new Error('Passwords do not match');
+        }
+        return true;
+      })
+  ], async (req, res) => {
+    try {
+      if (!isMongoConnected) {
+        return res.render("signup.ejs", { 
+          error: "Registration is temporarily unavailable. Database is offline.", 
+          success: null, 
+          isMongoConnected 
+        });
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.render("signup.ejs", { 
+          error: errors.array()[0].msg, 
+          success: null, 
+          isMongoConnected 
+        });
+      }
+
+      const { username, email, password } = req.body;
+
+      // Create new user
+      const user = new User({
+        username: username.trim(),
+        email: email.trim().toLowerCase(),
+        password: password
+      });
+
+      await user.save();
+      await sendVerificationEmail(req, user);
+
+      // Automatically log in the new user
+      req.session.user = {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        isVerified: user.isVerified
+      };
+      rotateCsrfToken(req);
+
+      console.log(`✅ New user registered and logged in: ${user.username} (${user.email})`);
+      res.redirect('/?signup-success=true');
+
+    } catch (error) {
+      console.error("Signup error:", error);
+      let errorMessage = "An error occurred during registration";
+
+      if (error.code === 11000) {
+        if (error.keyPattern.username) {
+          errorMessage = "Username is already taken";
+        } else if (error.keyPattern.email) {
+          errorMessage = "Email is already registered";
+        }
+      } else if (error.errors) {
+        errorMessage = Object.values(error.errors)[0].message;
+      }
+
+      res.render("signup.ejs", { 
+        error: errorMessage, 
+        success: null, 
+        isMongoConnected 
+      });
+    }
+  });
+
+  // Load the user a token was issued to, or null when the link is invalid, expired or already used
+  async function findUserByToken(token, purpose) {
+    const claims = readSignedToken(token, purpose);
+    if (!claims || !mongoose.isValidObjectId(claims.userId)) return null;
+    const user = await User.findById(claims.userId);
+    return tokenMatchesUser(claims, purpose, user) ? user : null;
+  }
+
+  router.get("/verify-email/:token", async (req, res) => {
+    try {
+      if (!isMongoConnected) {
+        return renderNotice(res, 503, "Verification unavailable", "The database is offline. Please open the link again in a few minutes.");
+      }
+
+      const user = await findUserByToken(req.params.token, 'verify-email');
+      if (!user) {
+        return renderNotice(res, 400, "Link expired", "This verification link is invalid, has expired or was already used. Sign in to request a new one.");
+      }
+
+      user.isVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      if (req.session.user && String(req.session.user.id) === String(user._id)) {
+        req.session.user.isVerified = true;
+      }
+
+      console.log(`✅ Email verified: ${user.username} (${user.email})`);
+      renderNotice(res, 200, "Email confirmed", "Thanks! Your email address is verified.");
+    } catch (error) {
+      console.error("Email verification error:", error);
+      res.status(500).send("Error verifying email");
+    }
+  });
+
+  router.post("/verify-email/resend", requireAuth, accountEmailLimiter, async (req, res) => {
+    try {
+      if (!isMongoConnected) {
+        return renderNotice(res, 503, "Verification unavailable", "The database is offline. Please try again in a few minutes.");
+      }
+
+      const user = mongoose.isValidObjectId(req.session.user.id) ? await User.findById(req.session.user.id) : null;
+      if (!user || user.isVerified) {
+        return res.redirect('/');
+      }
+
+      await sendVerificationEmail(req, user);
+      renderNotice(res, 200, "Check your inbox", `We sent a new verification link to ${user.email}.`);
+    } catch (error) {
+      console.error("Resend verification error:", error);
+      res.status(500).send("Error sending verification email");
+    }
+  });
+
+  router.get("/unlock-account/:token", async (req, res) => {
+    try {
+      if (!isMongoConnected) {
+        return renderNotice(res, 503, "Unlock unavailable", "The database is offline. Please open the link again in a few minutes.");
+      }
+
+      const user = await findUserByToken(req.params.token, 'unlock-account');
+      if (!user) {
+        return renderNotice(res, 400, "Link expired", "This unlock link is invalid, has expired or was already used. Locks also lift by themselves after a while.");
+      }
+
+      await user.unlock();
+      await recordAudit({ action: 'user.unlocked', actor: user, target: user, details: { method: 'email' }, ip: req.ip });
+
+      console.log(`🔓 ${user.username} unlocked their account by email`);
+      res.redirect('/login?notice=unlocked');
+    } catch (error) {
+      console.error("Unlock account error:", error);
+      res.status(500).send("Error unlocking account");
+    }
+  });
+
+  router.get("/forgot-password", (req, res) => {
+    res.render("forgot-password.ejs", { error: null, sent: false, isMongoConnected, selectedCategory: null });
+  });
+
+  router.post("/forgot-password", accountEmailLimiter, [
+    body('email').trim().isEmail().withMessage('Please enter a valid email address')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).render("forgot-password.ejs", { error: errors.array()[0].msg, sent: false, isMongoConnected, selectedCategory: null });
+      }
+      if (!isMongoConnected) {
+        return res.status(503).render("forgot-password.ejs", { error: "Password reset is unavailable while the database is offline.", sent: false, isMongoConnected, selectedCategory: null });
+      }
+
+      // Same answer whether or not the address is registered, so the form cannot be used to probe accounts
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+      if (user && !user.suspendedAt) {
+        await sendPasswordResetEmail(req, user);
+        console.log(`🔑 Password reset requested for ${user.username}`);
+      }
+      res.render("forgot-password.ejs", { error: null, sent: true, isMongoConnected, selectedCategory: null });
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      res.status(500).render("forgot-password.ejs", { error: "Something went wrong. Please try again.", sent: false, isMongoConnected, selectedCategory: null });
+    }
+  });
+
+  router.get("/reset-password/:token", async (req, res) => {
+    try {
+      if (!isMongoConnected) {
+        return renderNotice(res, 503, "Password reset unavailable", "The database is offline. Please open the link again in a few minutes.");
+      }
+
+      const user = await findUserByToken(req.params.token, 'reset-password');
+      if (!user) {
+        return renderNotice(res, 400, "Link expired", "This password reset link is invalid, has expired or was already used. Request a new one from the login page.");
+      }
+
+      res.render("reset-password.ejs", { token: req.params.token, error: null, selectedCategory: null });
+    } catch (error) {
+      console.error("Reset password error:", error);
+      res.status(500).send("Error loading password reset");
+    }
+  });
+
+  router.post("/reset-password/:token", [
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+    body('confirmPassword')
+      .custom((value, { req }) => {
+        if (value !== req.body.password) {
+          throw new Error('Passwords do not match');
+        }
+        return true;
+      })
+  ], async (req, res) => {
+    try {
+      if (!isMongoConnected) {
+        return renderNotice(res, 503, "Password reset unavailable", "The database is offline. Please try again in a few minutes.");
+      }
+
+      const user = await findUserByToken(req.params.token, 'reset-password');
+      if (!user) {
+        return renderNotice(res, 400, "Link expired", "This password reset link is invalid, has expired or was already used. Request a new one from the login page.");
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).render("reset-password.ejs", { token: req.params.token, error: errors.array()[0].msg, selectedCategory: null });
+      }
+
+      // Changing the hash also invalidates this link and any other outstanding reset links
+      user.password = req.body.password;
+      user.failedLoginAttempts = 0;
+      user.lockedUntil = null;
+      // Receiving the reset email proves the address works
+      if (!user.isVerified) {
+        user.isVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      await user.save();
+      await recordAudit({ action: 'user.password_reset', actor: user, target: user, ip: req.ip });
+
+      console.log(`🔑 Password reset completed for ${user.username}`);
+      res.redirect('/login?notice=password-reset');
+    } catch (error) {
+      console.error("Reset password error:", error);
+      res.status(500).send("Error resetting password");
+    }
+  });
+
+  router.post("/logout", (req, res) => {
+    req.session.destroy((err) => {
+      if (err) {
+        console.error("Logout error:", err);
+      }
+      res.redirect('/');
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,239 @@
+// Comment threads on posts: posting (with moderation), listing, editing and deleting
+import express from "express";
+import xss from "xss";
+import { body, validationResult } from "express-validator";
+import User from "../models/User.js";
+import { DELETED_COMMENT_TEXT } from "../repositories/comments.js";
+import { isMongoConnected } from "../utils/database.js";
+import { evaluateComment } from "../utils/moderation.js";
+import { canViewPost, isPostOwner } from "../utils/postAccess.js";
+import { requireAuth } from "./middleware.js";
+
+export function createCommentsRouter({ storage }) {
+  const router = express.Router();
+  const { postRepo, commentRepo } = storage;
+
+  // Comments
+  // Replies point at their parent through parentId; GET /posts/:id/comments returns assembled threads
+  const COMMENT_EDIT_WINDOW_MINUTES = parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES, 10) || 15;
+
+  function isCommentAuthor(user, comment) {
+    return !!user && comment.author.userId.toString() === String(user.id);
+  }
+
+  // Authors may edit their own comment for a limited time after posting
+  function canEditComment(user, comment) {
+    const age = Date.now() - new Date(comment.createdAt).getTime();
+    return isCommentAuthor(user, comment) && !comment.deletedAt && age <= COMMENT_EDIT_WINDOW_MINUTES * 60 * 1000;
+  }
+
+  // Comment author, the post's owner or an admin may delete
+  function canDeleteComment(user, comment, post) {
+    if (!user || comment.deletedAt) return false;
+    return isCommentAuthor(user, comment) || isPostOwner(user, post);
+  }
+
+  // Turn a flat, oldest-first list into threads: newest threads first, replies in conversation order
+  function buildCommentTree(comments, user, post) {
+    const nodes = new Map();
+    comments.forEach(comment => {
+      const isDeleted = !!comment.deletedAt;
+      nodes.set(String(comment._id), {
+        _id: comment._id,
+        postId: comment.postId,
+        parentId: comment.parentId ? String(comment.parentId) : null,
+        author: isDeleted ? null : { username: comment.author.username, userId: comment.author.userId },
+        content: isDeleted ? DELETED_COMMENT_TEXT : comment.content,
+        createdAt: comment.createdAt,
+        updatedAt: comment.updatedAt,
+        isDeleted,
+        isPending: comment.status === 'pending',
+        isEdited: !isDeleted && new Date(comment.updatedAt) > new Date(comment.createdAt),
+        canEdit: canEditComment(user, comment),
+        canDelete: canDeleteComment(user, comment, post),
+        replies: []
+      });
+    });
+
+    const roots = [];
+    nodes.forEach(node => {
+      const parent = node.parentId && nodes.get(node.parentId);
+      if (parent) {
+        parent.replies.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    // Deleted comments only stay as placeholders while they still have replies
+    const prune = (list) => list.filter(node => {
+      node.replies = prune(node.replies);
+      return !node.isDeleted || node.replies.length > 0;
+    });
+    return prune(roots).reverse();
+  }
+
+  // Add comment (or reply) to post
+  router.post("/posts/:id/comment", requireAuth, [
+    body('comment').isLength({ min: 1, max: 1000 }).trim().withMessage('Comment must be between 1 and 1000 characters')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      // Commenters are accounts, and accounts live in MongoDB
+      if (!isMongoConnected) {
+        return res.status(503).json({ error: "Comments are temporarily unavailable. Database is offline." });
+      }
+
+      const postId = req.params.id;
+      const { comment, parentId } = req.body;
+
+      const post = await postRepo().findById(postId);
+      if (!post || !canViewPost(req.session.user, post)) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+
+      const author = await User.findById(req.session.user.id);
+      if (!author) {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+      if (author.commentsBannedAt) {
+        return res.status(403).json({ error: "Your account can no longer post comments" });
+      }
+
+      // Replies must point at a live, approved comment on the same post
+      let parent = null;
+      if (parentId) {
+        parent = await commentRepo().findById(parentId);
+        if (!parent || parent.postId !== postId || parent.deletedAt || parent.status !== 'approved') {
+          return res.status(400).json({ error: "The comment you are replying to no longer exists" });
+        }
+      }
+
+      // New accounts, links and blocked words send the comment to the moderation queue
+      const moderation = evaluateComment(comment, author);
+
+      await commentRepo().create({
+        postId: postId,
+        author: {
+          username: req.session.user.username,
+          userId: req.session.user.id
+        },
+        content: xss(comment),
+        parentId: parent ? parent._id : null,
+        status: moderation.status,
+        moderationReason: moderation.reason
+      });
+      console.log(`💬 New ${parent ? 'reply' : 'comment'} added by ${req.session.user.username} on post ${postId} (${moderation.status})`);
+
+      res.redirect(moderation.status === 'approved' ? `/posts/${postId}#comments` : `/posts/${postId}?comment=held#comments`);
+    } catch (error) {
+      console.error('Comment error:', error);
+      console.error('Error details:', {
+        message: error.message,
+        postId: req.params.id,
+        userId: req.session.user?.id,
+        username: req.session.user?.username,
+        comment: req.body.comment
+      });
+      res.status(500).json({ error: "Error adding comment" });
+    }
+  });
+
+  // Get comment threads for a post
+  router.get("/posts/:id/comments", async (req, res) => {
+    try {
+      // The public sees approved comments; authors also see their own comments awaiting review
+      const postId = req.params.id;
+      const post = await postRepo().findById(postId);
+      if (!post || !canViewPost(req.session.user, post)) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+      const comments = await commentRepo().listForPost(postId, { viewerId: req.session.user?.id });
+      res.json(buildCommentTree(comments, req.session.user, post));
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      res.status(500).json({ error: "Error fetching comments" });
+    }
+  });
+
+  // Load a comment for edit/delete, answering 503/404 in JSON when it cannot be used
+  async function findCommentForUpdate(req, res) {
+    if (!isMongoConnected) {
+      res.status(503).json({ error: "Comments are temporarily unavailable. Database is offline." });
+      return null;
+    }
+    const comment = await commentRepo().findById(req.params.commentId);
+    if (!comment || comment.deletedAt) {
+      res.status(404).json({ error: "Comment not found" });
+      return null;
+    }
+    return comment;
+  }
+
+  // Edit own comment within the edit window
+  router.post("/comments/:commentId/edit", requireAuth, [
+    body('comment').isLength({ min: 1, max: 1000 }).trim().withMessage('Comment must be between 1 and 1000 characters')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const comment = await findCommentForUpdate(req, res);
+      if (!comment) return;
+
+      if (!isCommentAuthor(req.session.user, comment)) {
+        return res.status(403).json({ error: "You can only edit your own comments" });
+      }
+      if (!canEditComment(req.session.user, comment)) {
+        return res.status(403).json({ error: `Comments can only be edited within ${COMMENT_EDIT_WINDOW_MINUTES} minutes of posting` });
+      }
+
+      // Edits go through the same rules, so an approved comment cannot gain links unreviewed
+      const author = await User.findById(req.session.user.id);
+      const moderation = author ? evaluateComment(req.body.comment, author) : { status: 'pending', reason: 'Edited' };
+      const changes = { content: xss(req.body.comment) };
+      if (comment.status === 'approved' && moderation.status !== 'approved') {
+        changes.status = moderation.status;
+        changes.moderationReason = moderation.reason;
+      }
+
+      const edited = await commentRepo().update(comment._id, changes);
+      console.log(`✏️ Comment ${edited._id} edited by ${req.session.user.username}`);
+
+      res.json({ comment: { _id: edited._id, content: edited.content, updatedAt: edited.updatedAt, isEdited: true } });
+    } catch (error) {
+      console.error('Error editing comment:', error);
+      res.status(500).json({ error: "Error editing comment" });
+    }
+  });
+
+  // Delete comment (author, post owner or admin)
+  router.post("/comments/:commentId/delete", requireAuth, async (req, res) => {
+    try {
+      const comment = await findCommentForUpdate(req, res);
+      if (!comment) return;
+
+      const post = await postRepo().findById(comment.postId);
+      if (!canDeleteComment(req.session.user, comment, post)) {
+        return res.status(403).json({ error: "You can only delete your own comments or comments on your posts" });
+      }
+
+      // Others' replies keep a placeholder so the thread stays readable
+      await commentRepo().remove(comment._id);
+      console.log(`🗑️ Comment ${comment._id} deleted by ${req.session.user.username}`);
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      res.status(500).json({ error: "Error deleting comment" });
+    }
+  });
+
+  return router;
+}
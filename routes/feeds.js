@@ -0,0 +1,99 @@
+// Syndication feeds of published posts: /feed.xml (RSS), /atom.xml and /feed.json for the whole site, and the same
+// three under /categories/:category and /users/:username. Readers revalidate with ETag or Last-Modified.
+import express from "express";
+import User from "../models/User.js";
+import { isMongoConnected } from "../utils/database.js";
+import { FEED_FORMATS, FEED_SIZE, SITE_TITLE, siteUrl, feedEtag, feedLastModified } from "../utils/feeds.js";
+
+export function createFeedsRouter({ storage }) {
+  const router = express.Router();
+  const { postRepo } = storage;
+
+  // Each loader resolves to { title, description, homePath, posts }, or null when there is no such feed
+  async function siteFeed() {
+    const { posts } = await postRepo().listPublished({ limit: FEED_SIZE });
+    return {
+      title: SITE_TITLE,
+      description: "Reflections on purpose, meaning and personal growth",
+      homePath: '/',
+      posts
+    };
+  }
+
+  async function categoryFeed(req) {
+    const category = req.params.category;
+    const { posts, total } = await postRepo().listPublished({ category, limit: FEED_SIZE });
+    if (total === 0) return null;
+    return {
+      title: `${SITE_TITLE}: ${category}`,
+      description: `Posts in ${category}`,
+      homePath: `/?category=${encodeURIComponent(category)}`,
+      posts
+    };
+  }
+
+  // Same lookup as the public profile: accounts while MongoDB is up, author names on offline posts otherwise
+  async function authorFeed(req) {
+    const username = req.params.username;
+    let posts;
+    if (isMongoConnected) {
+      const member = await User.findOne({ username, suspendedAt: null });
+      if (!member) return null;
+      posts = await postRepo().listPublishedByAuthor({ authorId: member._id });
+    } else {
+      posts = await postRepo().listPublishedByAuthor({ authorName: username });
+      if (posts.length === 0) return null;
+    }
+    return {
+      title: `${SITE_TITLE}: ${username}`,
+      description: `Posts by ${username}`,
+      homePath: `/users/${encodeURIComponent(username)}`,
+      posts: posts.slice(0, FEED_SIZE)
+    };
+  }
+
+  function serveFeed(format, loadFeed) {
+    return async (req, res) => {
+      try {
+        const loaded = await loadFeed(req);
+        if (!loaded) {
+          return res.status(404).send("Feed not found");
+        }
+
+        const base = siteUrl(req);
+        const feed = {
+          ...loaded,
+          siteUrl: base,
+          homeUrl: base + loaded.homePath,
+          feedUrl: base + req.originalUrl.split('?')[0]
+        };
+        const lastModified = feedLastModified(feed.posts);
+        res.set({
+          'Content-Type': format.contentType,
+          'Cache-Control': 'public, max-age=300',
+          'ETag': feedEtag(format.name, feed)
+        });
+        if (lastModified) {
+          res.set('Last-Modified', lastModified.toUTCString());
+        }
+        if (req.fresh) {
+          return res.status(304).end();
+        }
+        res.send(format.render(feed));
+      } catch (error) {
+        console.error(`Error building feed ${req.originalUrl}:`, error);
+        res.status(500).type('text').set('Cache-Control', 'no-store').removeHeader('ETag');
+        res.removeHeader('Last-Modified');
+        res.send("Error building feed");
+      }
+    };
+  }
+
+  for (const [fileName, format] of Object.entries(FEED_FORMATS)) {
+    router.get(`/${fileName}`, serveFeed(format, siteFeed));
+    router.get(`/categories/:category/${fileName}`, serveFeed(format, categoryFeed));
+    router.get(`/users/:username/${fileName}`, serveFeed(format, authorFeed));
+  }
+
+  return router;
+}
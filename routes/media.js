@@ -0,0 +1,135 @@
+// Uploaded files, served from the upload storage at /media/:id, and the media library: a signed-in user's uploads,
+// where they are used, and uploading or deleting images outside a post
+import { pipeline } from "stream/promises";
+import express from "express";
+import { isMongoConnected } from "../utils/database.js";
+import { listLibrary, findLibraryMedia, recordUpload, deleteMedia } from "../utils/media.js";
+import { upload, saveUploadedImage } from "../utils/uploads.js";
+import { requireAuth, renderNotice } from "./middleware.js";
+
+export function createMediaRouter({ uploadStorage, limiters }) {
+  const router = express.Router();
+  const { uploadLimiter } = limiters;
+
+  const MEDIA_NOTICES = {
+    'uploaded': 'Your image has been added to the library.',
+    'deleted': 'The image has been deleted.'
+  };
+
+  // The library lives in MongoDB; offline uploads and the fallback admin have none
+  function requireLibrary(req, res, next) {
+    if (!isMongoConnected) {
+      return renderNotice(res, 503, "Media library unavailable", "The media library needs the database. Please try again once it is back online.");
+    }
+    next();
+  }
+
+  async function renderLibrary(req, res, { status = 200, error = null, notice = null } = {}) {
+    const media = await listLibrary(req.session.user);
+    await Promise.all(media.map(item => item.populate('posts', 'title slug')));
+    const totalSize = media.reduce((sum, item) => sum + item.size, 0);
+    res.status(status).render("media.ejs", {
+      media,
+      totalSize,
+      error,
+      notice,
+      currentPage: 'media',
+      selectedCategory: null
+    });
+  }
+
+  router.get("/media", requireAuth, requireLibrary, async (req, res) => {
+    try {
+      await renderLibrary(req, res, { notice: MEDIA_NOTICES[req.query.notice] || null });
+    } catch (error) {
+      console.error("Error loading media library:", error);
+      res.status(500).send("Error loading your media library");
+    }
+  });
+
+  // multer runs inside the handler so a rejected file is shown on the library page instead of a bare error
+  router.post("/media", requireAuth, uploadLimiter, requireLibrary, (req, res) => {
+    upload.single('mediaFile')(req, res, async (uploadError) => {
+      try {
+        if (uploadError) {
+          return renderLibrary(req, res, { status: 400, error: uploadError.message });
+        }
+        if (!req.file) {
+          return renderLibrary(req, res, { status: 400, error: 'Choose an image to upload.' });
+        }
+
+        let image;
+        try {
+          image = await saveUploadedImage(req.file, uploadStorage);
+        } catch (error) {
+          if (error.status !== 400) throw error;
+          return renderLibrary(req, res, { status: 400, error: error.message });
+        }
+        await recordUpload(image, req.session.user, req.file.originalname);
+        console.log(`🖼️ ${req.session.user.username} added ${image.url} to their media library`);
+        res.redirect('/media?notice=uploaded');
+      } catch (error) {
+        console.error("Error uploading to media library:", error);
+        res.status(500).send("Error uploading image");
+      }
+    });
+  });
+
+  // Images still used by a post or as an avatar stay; the sweep removes the rest eventually anyway
+  router.post("/media/:id/delete", requireAuth, requireLibrary, async (req, res) => {
+    try {
+      const media = await findLibraryMedia(req.session.user, req.params.id);
+      if (!media) {
+        return res.status(404).send("Image not found");
+      }
+      if (media.isReferenced()) {
+        return renderLibrary(req, res, { status: 409, error: 'That image is still in use. Remove it from its posts (or your avatar) first.' });
+      }
+
+      await deleteMedia(media, uploadStorage);
+      console.log(`🗑️ ${req.session.user.username} deleted ${media.url} from the media library`);
+      res.redirect('/media?notice=deleted');
+    } catch (error) {
+      console.error("Error deleting media:", error);
+      res.status(500).send("Error deleting image");
+    }
+  });
+
+  // File names are never reused, so browsers and CDNs may keep a file for a year without asking again.
+  // Other sites may embed them: feed readers show the images in posts from /feed.xml and friends.
+  router.get("/media/:id", async (req, res) => {
+    try {
+      const file = await uploadStorage.stat(req.params.id);
+      if (!file) {
+        return res.status(404).send("Media not found");
+      }
+
+      res.set({
+        'Content-Type': file.contentType,
+        'Content-Length': String(file.size),
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        'Last-Modified': new Date(file.lastModified).toUTCString(),
+        'ETag': file.etag,
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      });
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      if (req.method === 'HEAD') {
+        return res.end();
+      }
+      await pipeline(uploadStorage.read(file.name), res);
+    } catch (error) {
+      console.error(`Error serving media ${req.params.id}:`, error);
+      if (!res.headersSent) {
+        // Undo the caching headers of a file that turned out to be unreadable
+        res.status(error.status || 500).type('text').set('Cache-Control', 'no-store').removeHeader('ETag');
+        res.send(error.status === 503 ? error.message : "Error loading media");
+      } else {
+        res.destroy(error);
+      }
+    }
+  });
+
+  return router;
+}
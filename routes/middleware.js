@@ -0,0 +1,41 @@
+// Authentication guards and small response helpers shared by the routers
+import { isMongoConnected } from "../utils/database.js";
+import { isAdminTwoFactorRequired } from "../utils/twoFactor.js";
+
+export const requireAuth = (req, res, next) => {
+  if (!req.session.user) {
+    return res.redirect('/login');
+  }
+  next();
+};
+
+export const requireAdmin = (req, res, next) => {
+  if (!req.session.user || req.session.user.role !== 'admin') {
+    return res.status(403).send('Access denied. Admin privileges required.');
+  }
+  // Admins enrol in two-factor authentication before they can use admin tools (REQUIRE_ADMIN_2FA)
+  if (isMongoConnected && isAdminTwoFactorRequired() && !req.session.user.twoFactorEnabled) {
+    return res.redirect('/settings/security?notice=admin-required');
+  }
+  next();
+};
+
+// Same as requireAuth, but answers in JSON for the API
+export const requireApiAuth = (req, res, next) => {
+  if (!req.session.user) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  next();
+};
+
+// Error handler for /api: the error's own status and message for client errors (e.g. malformed JSON), a generic
+// message for server errors. Mounted after the JSON parser in app.js as well, since its errors never reach the router
+export function apiErrorHandler(err, req, res, next) {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error("API error:", err);
+  res.status(status).json({ error: status >= 500 ? "Internal server error" : err.message });
+}
+
+export function renderNotice(res, status, title, message) {
+  res.status(status).render("notice.ejs", { title, message, selectedCategory: null });
+}
@@ -0,0 +1,569 @@
+// The blog itself: home feed, search, compose, drafts, post pages, editing, revision history and deletion
+import express from "express";
+import { body, validationResult } from "express-validator";
+import { REVISION_FIELDS } from "../models/PostRevision.js";
+import { isMongoConnected } from "../utils/database.js";
+import { renderMarkdown } from "../utils/markdown.js";
+import { encodeCursor, decodeCursor } from "../utils/pagination.js";
+import { canViewPost, isPostOwner, parsePublishAt, resolvePublishState } from "../utils/postAccess.js";
+import { snapshotPost, sameValue, recordRevision, diffField } from "../utils/revisions.js";
+import { sanitizeInput } from "../utils/sanitize.js";
+import { postPath } from "../utils/slugs.js";
+import { runSearch, readSearchParams, SEARCH_PAGE_SIZE } from "../utils/search.js";
+import { upload, saveUploadedImage, importFeaturedImage } from "../utils/uploads.js";
+import { listLibrary, findLibraryMedia, recordUpload } from "../utils/media.js";
+import { requireAuth } from "./middleware.js";
+
+export function createPostsRouter({ storage, uploadStorage, limiters }) {
+  const router = express.Router();
+  const { postRepo, commentRepo, mongoPosts, memoryPosts } = storage;
+  const { postLimiter } = limiters;
+
+  // Middleware to check if user can edit post (admin or post owner)
+  const canEditPost = async (req, res, next) => {
+    if (!req.session.user) {
+      return res.redirect('/login');
+    }
+
+    // Admin can edit any post
+    if (req.session.user.role === 'admin') {
+      return next();
+    }
+
+    try {
+      // Check if user owns the post
+      const post = await postRepo().findById(req.params.id);
+      if (!post) {
+        return res.status(404).send("Post not found");
+      }
+      if (isPostOwner(req.session.user, post)) {
+        return next();
+      }
+
+      // User is not the owner and not admin
+      return res.status(403).send(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <title>Access Denied - Purpose & Perspective</title>
+          <link rel="stylesheet" href="/styles/main.css">
+        </head>
+        <body>
+          <div class="auth-container">
+            <div class="auth-card">
+              <div class="auth-header">
+                <h2>🚫 Access Denied</h2>
+                <p>You can only edit your own posts</p>
+              </div>
+              <div style="text-align: center; padding: 1rem;">
+                <p>You can:</p>
+                <ul style="text-align: left; display: inline-block;">
+                  <li>Edit your own posts</li>
+                  <li>Create new posts</li>
+                  <li>Comment on any post</li>
+                </ul>
+                <div style="margin-top: 2rem;">
+                  <a href="/" class="auth-submit-btn" style="text-decoration: none; display: inline-block; padding: 0.75rem 1.5rem;">← Back to Home</a>
+                </div>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `);
+    } catch (err) {
+      console.error("Error checking post ownership:", err);
+      return res.status(500).send("Error checking post permissions");
+    }
+  };
+
+  // Home feed pagination: page numbers for direct jumps, (createdAt, _id) cursors for stable next/previous links
+  const FEED_PAGE_SIZE = 12;
+
+  // Fetch one page of the feed; `newerCount` is how many posts precede the page in feed order
+  async function fetchFeedPage({ category, page, after, before }, repo = postRepo()) {
+    const size = FEED_PAGE_SIZE;
+    const { posts, total, newerCount } = await repo.feedPage({ category, page, after, before, size });
+
+    return {
+      posts,
+      total,
+      page: Math.floor(newerCount / size) + 1,
+      totalPages: Math.max(1, Math.ceil(total / size)),
+      hasPrev: newerCount > 0,
+      hasNext: newerCount + posts.length < total,
+      firstCursor: posts.length > 0 ? encodeCursor(posts[0]) : null,
+      lastCursor: posts.length > 0 ? encodeCursor(posts[posts.length - 1]) : null
+    };
+  }
+
+  // Build the next/previous links for index.ejs, keeping the category filter
+  function buildFeedLinks(feed, category) {
+    const link = (params) => {
+      const query = new URLSearchParams(category ? { category, ...params } : params).toString();
+      return query ? `/?${query}` : '/';
+    };
+    return {
+      page: feed.page,
+      totalPages: feed.totalPages,
+      total: feed.total,
+      prevUrl: feed.hasPrev ? (feed.firstCursor ? link({ before: feed.firstCursor }) : link({})) : null,
+      nextUrl: feed.hasNext && feed.lastCursor ? link({ after: feed.lastCursor }) : null
+    };
+  }
+
+  // Published post counts per category, used for the filter bar
+  async function getCategoryCounts(repo = postRepo()) {
+    const counts = await repo.categoryCounts();
+    Object.keys(counts).forEach(category => {
+      if (!category || category.trim() === '' || category === 'null') delete counts[category];
+    });
+    return counts;
+  }
+
+  function readFeedParams(req) {
+    const category = req.query.category && req.query.category !== 'all' ? String(req.query.category) : null;
+    return {
+      category,
+      page: Math.max(1, parseInt(req.query.page, 10) || 1),
+      after: decodeCursor(req.query.after),
+      before: decodeCursor(req.query.before)
+    };
+  }
+
+  // Routes
+  router.get("/", async (req, res) => {
+    const params = readFeedParams(req);
+    const renderFeed = async (repo) => {
+      const [feed, categoryCounts] = await Promise.all([
+        fetchFeedPage({ ...params }, repo),
+        getCategoryCounts(repo)
+      ]);
+      res.render("index.ejs", {
+        posts: feed.posts,
+        isMongoConnected: repo === mongoPosts,
+        currentPage: 'home',
+        selectedCategory: params.category,
+        categories: Object.keys(categoryCounts).sort(),
+        categoryCounts,
+        pagination: buildFeedLinks(feed, params.category)
+      });
+    };
+
+    try {
+      await renderFeed(postRepo());
+    } catch (err) {
+      console.error("Error fetching posts:", err);
+      // Show the offline posts rather than an error page
+      await renderFeed(memoryPosts);
+    }
+  });
+
+  router.get("/search", async (req, res) => {
+    const { query, page } = readSearchParams(req);
+    try {
+      const { results, total } = await runSearch(postRepo(), query, page);
+      res.render("search.ejs", {
+        query,
+        results,
+        total,
+        page,
+        totalPages: Math.ceil(total / SEARCH_PAGE_SIZE),
+        isMongoConnected,
+        selectedCategory: null
+      });
+    } catch (err) {
+      console.error("Error searching posts:", err);
+      res.status(500).render("search.ejs", {
+        query,
+        results: [],
+        total: 0,
+        page: 1,
+        totalPages: 0,
+        error: "Search is temporarily unavailable. Please try again.",
+        isMongoConnected,
+        selectedCategory: null
+      });
+    }
+  });
+
+  // Category suggestions for the compose and edit forms; the defaults always come first
+  const DEFAULT_CATEGORIES = ["Daily Reflections", "Personal Growth"];
+
+  // How many of the author's uploads the compose and edit forms offer for reuse
+  const LIBRARY_PICKER_SIZE = 24;
+
+  // Store an uploaded featured image and record it in the uploader's media library
+  async function storeFeaturedImage(req) {
+    const image = await saveUploadedImage(req.file, uploadStorage);
+    await recordUpload(image, req.session.user, req.file.originalname);
+    return image.url;
+  }
+
+  async function suggestedCategories() {
+    return [...new Set([...DEFAULT_CATEGORIES, ...await postRepo().categories()])];
+  }
+
+  router.get("/compose", requireAuth, async (req, res) => {
+    try {
+      const [categories, library] = await Promise.all([
+        suggestedCategories(),
+        listLibrary(req.session.user, { limit: LIBRARY_PICKER_SIZE })
+      ]);
+      console.log("📋 Final categories being passed to template:", categories);
+      res.render("compose.ejs", { isMongoConnected, categories, library, currentPage: 'compose', selectedCategory: null });
+    } catch (err) {
+      console.error("Error fetching categories for compose:", err);
+      res.render("compose.ejs", { isMongoConnected, categories: ["Daily Reflections"], currentPage: 'compose', selectedCategory: null });
+    }
+  });
+
+  // Length checks and escaping shared by compose and edit, whose forms name the title and body fields differently
+  function postFieldValidators({ titleField, bodyField }) {
+    return [
+      body(titleField)
+        .isLength({ min: 1, max: 200 })
+        .withMessage('Title must be between 1 and 200 characters')
+        .trim()
+        .escape(),
+      body(bodyField)
+        .isLength({ min: 1, max: 10000 })
+        .withMessage('Post content must be between 1 and 10,000 characters')
+        .trim(),
+      body('category')
+        .optional()
+        .isLength({ max: 50 })
+        .withMessage('Category must be less than 50 characters')
+        .trim()
+        .escape(),
+      body('excerpt')
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage('Excerpt must be less than 200 characters')
+        .trim()
+        .escape(),
+      body('tags')
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage('Tags must be less than 200 characters')
+        .trim()
+        .escape()
+    ];
+  }
+
+  // Input validation middleware for compose route
+  const validatePostInput = [
+    ...postFieldValidators({ titleField: 'postTitle', bodyField: 'postBody' }),
+    body('featuredImageUrl')
+      .if(body('imageOption').equals('url'))
+      // Hosts without a TLD pass here for REMOTE_IMAGE_ALLOWED_HOSTS; the download refuses internal addresses
+      .isURL({ protocols: ['http', 'https'], require_tld: false })
+      .withMessage('Featured image must be a valid URL when using URL option')
+  ];
+
+  const validatePostEdit = postFieldValidators({ titleField: 'title', bodyField: 'body' });
+
+
+  router.post("/compose", requireAuth, postLimiter, upload.single('imageFile'), validatePostInput, async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).render("compose.ejs", { 
+        isMongoConnected, 
+        categories: ["Daily Reflections"], 
+        currentPage: 'compose',
+        selectedCategory: null,
+        errors: errors.array()
+      });
+    }
+
+      const { postTitle, postBody, category, excerpt, tags, featuredImageUrl, imageOption, mediaId } = req.body;
+
+      // Sanitize all text inputs to prevent XSS attacks
+      // The body is Markdown source: it is stored as written and sanitized when rendered (renderMarkdown)
+      const sanitizedTitle = sanitizeInput(postTitle);
+      const markdownBody = postBody;
+      const sanitizedCategory = sanitizeInput(category) || 'Daily Reflections';
+      const sanitizedExcerpt = sanitizeInput(excerpt);
+      const sanitizedTags = sanitizeInput(tags);
+
+    // Draft, schedule or publish straight away
+    const publishState = resolvePublishState(req.body.status, parsePublishAt(req.body.publishAt, req.body.publishAtOffset));
+    if (publishState.error) {
+      return res.status(400).render("compose.ejs", { 
+        isMongoConnected, 
+        categories: ["Daily Reflections"], 
+        currentPage: 'compose',
+        selectedCategory: null,
+        errors: [{ msg: publishState.error }]
+      });
+    }
+    const afterSaveUrl = publishState.status === 'published' ? "/" : "/drafts";
+
+    // Determine the image source based on selected option; uploads are stored only once the post is valid
+    let imageSource = null;
+    if (imageOption === 'upload' && req.file) {
+      try {
+        imageSource = await storeFeaturedImage(req);
+      } catch (error) {
+        if (error.status !== 400) throw error;
+        return res.status(400).render("compose.ejs", { 
+          isMongoConnected, 
+          categories: ["Daily Reflections"], 
+          currentPage: 'compose',
+          selectedCategory: null,
+          errors: [{ msg: error.message }]
+        });
+      }
+    } else if (imageOption === 'library' && mediaId) {
+      const media = await findLibraryMedia(req.session.user, mediaId);
+      if (!media) {
+        return res.status(400).render("compose.ejs", { 
+          isMongoConnected, 
+          categories: ["Daily Reflections"], 
+          currentPage: 'compose',
+          selectedCategory: null,
+          errors: [{ msg: 'That image is not in your media library.' }]
+        });
+      }
+      imageSource = media.url;
+    } else if (imageOption === 'url' && featuredImageUrl && featuredImageUrl.trim() !== '') {
+      try {
+        imageSource = await importFeaturedImage(featuredImageUrl.trim(), { uploadStorage, user: req.session.user });
+      } catch (error) {
+        if (error.status !== 400) throw error;
+        return res.status(400).render("compose.ejs", { 
+          isMongoConnected, 
+          categories: ["Daily Reflections"], 
+          currentPage: 'compose',
+          selectedCategory: null,
+          errors: [{ msg: error.message }]
+        });
+      }
+    }
+
+    try {
+      await postRepo().create({
+        title: sanitizedTitle,
+        body: markdownBody,
+        category: sanitizedCategory,
+        excerpt: sanitizedExcerpt,
+        tags: sanitizedTags ? sanitizedTags.split(',').map(tag => tag.trim()) : [],
+        featuredImage: imageSource,
+        ...publishState,
+        author: req.session.user.id,
+        authorName: req.session.user.username
+      });
+      res.redirect(afterSaveUrl);
+    } catch (err) {
+      console.error("Error saving post:", err);
+      res.status(500).render("compose.ejs", {
+        isMongoConnected,
+        categories: ["Daily Reflections"],
+        currentPage: 'compose',
+        selectedCategory: null,
+        errors: [{ msg: "Your post could not be saved. Please try again." }]
+      });
+    }
+  });
+
+  // "My drafts": the signed-in author's drafts, scheduled and archived posts
+  router.get("/drafts", requireAuth, async (req, res) => {
+    try {
+      const posts = await postRepo().listDrafts(req.session.user.id);
+      res.render("drafts.ejs", { posts, isMongoConnected, currentPage: 'drafts', selectedCategory: null });
+    } catch (err) {
+      console.error("Error fetching drafts:", err);
+      res.status(500).send("Error fetching your drafts");
+    }
+  });
+
+  // Posts are read at /posts/<slug>; ids keep working (the page names the slug URL as canonical) and slugs from
+  // before a rename redirect permanently to the current one
+  router.get("/posts/:id", async (req, res) => {
+    try {
+      const repo = postRepo();
+      const post = await repo.findById(req.params.id) || await repo.findBySlug(req.params.id);
+      if (!post || !canViewPost(req.session.user, post)) {
+        return res.status(404).send("Post not found");
+      }
+      if (String(post._id) !== req.params.id && post.slug !== req.params.id) {
+        const query = req.originalUrl.indexOf('?');
+        return res.redirect(301, postPath(post) + (query === -1 ? '' : req.originalUrl.slice(query)));
+      }
+      res.render("posts.ejs", { post, bodyHtml: renderMarkdown(post.body), isMongoConnected, selectedCategory: null, commentHeld: req.query.comment === 'held' });
+    } catch (err) {
+      console.error("Error finding post:", err);
+      res.status(500).send("Error loading post");
+    }
+  });
+
+  // The edit form for a post; after a rejected save it shows the errors over the values that were sent
+  async function renderEditForm(req, res, post, errors = []) {
+    const [categories, library] = await Promise.all([
+      suggestedCategories(),
+      listLibrary(req.session.user, { limit: LIBRARY_PICKER_SIZE })
+    ]);
+    res.render("edit.ejs", { post, errors, isMongoConnected, categories, library, selectedCategory: null });
+  }
+
+  // Show the edit form again with the errors, keeping what was typed
+  async function rejectEdit(req, res, post, errors) {
+    const submitted = {
+      _id: post._id,
+      slug: post.slug,
+      title: req.body.title,
+      body: req.body.body,
+      category: req.body.category || post.category,
+      featuredImage: post.featuredImage,
+      status: req.body.status || post.status,
+      publishAt: post.publishAt
+    };
+    res.status(400);
+    await renderEditForm(req, res, submitted, errors);
+  }
+
+  router.get("/posts/:id/edit", canEditPost, async (req, res) => {
+    try {
+      const post = await postRepo().findById(req.params.id);
+      if (post) {
+        await renderEditForm(req, res, post);
+      } else {
+        res.status(404).send("Post not found");
+      }
+    } catch (err) {
+      console.error("Error fetching post for edit:", err);
+      res.status(500).send("Error loading post for editing");
+    }
+  });
+
+  router.post("/posts/:id/edit", canEditPost, upload.single('imageFile'), validatePostEdit, async (req, res) => {
+    const { title, body, category, featuredImage, mediaId } = req.body;
+
+    let currentPost;
+    try {
+      currentPost = await postRepo().findById(req.params.id);
+      if (!currentPost) {
+        return res.status(404).send("Post not found");
+      }
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return await rejectEdit(req, res, currentPost, errors.array());
+      }
+      const publishState = resolvePublishState(req.body.status, parsePublishAt(req.body.publishAt, req.body.publishAtOffset), currentPost);
+      if (publishState.error) {
+        return await rejectEdit(req, res, currentPost, [{ msg: publishState.error }]);
+      }
+      const previousSnapshot = snapshotPost(currentPost);
+      const updateData = { title, body, ...publishState };
+      if (category) updateData.category = category;
+
+      // Determine the image source: uploaded file (stored once the edit is known to be valid), library or URL
+      // (downloaded, as featured images are only served from this site)
+      if (req.file) {
+        updateData.featuredImage = await storeFeaturedImage(req);
+      } else if (mediaId) {
+        const media = await findLibraryMedia(req.session.user, mediaId);
+        if (!media) {
+          return await rejectEdit(req, res, currentPost, [{ msg: "That image is not in your media library" }]);
+        }
+        updateData.featuredImage = media.url;
+      } else if (featuredImage && featuredImage.trim() !== '') {
+        updateData.featuredImage = await importFeaturedImage(featuredImage.trim(), {
+          uploadStorage,
+          user: req.session.user,
+          current: currentPost.featuredImage
+        });
+      }
+
+      const updatedPost = await postRepo().update(req.params.id, updateData);
+      if (!updatedPost) {
+        return res.status(404).send("Post not found");
+      }
+      await recordRevision(postRepo(), updatedPost, previousSnapshot, req.session.user);
+      res.redirect(`/posts/${updatedPost._id}`);
+    } catch (err) {
+      if (err.name === 'ValidationError') {
+        return rejectEdit(req, res, currentPost, [{ msg: Object.values(err.errors)[0].message }]);
+      }
+      if (err.status === 400) {
+        return rejectEdit(req, res, currentPost, [{ msg: err.message }]);
+      }
+      console.error("Error updating post:", err);
+      res.status(500).send("Error updating post");
+    }
+  });
+
+  router.get("/posts/:id/history", canEditPost, async (req, res) => {
+    try {
+      const post = await postRepo().findById(req.params.id);
+      if (!post) {
+        return res.status(404).send("Post not found");
+      }
+
+      const revisions = await postRepo().listRevisions(post._id);
+      let comparison = null;
+
+      if (revisions.length >= 2) {
+        const byNumber = (number) => revisions.find(revision => revision.revision === parseInt(number, 10));
+        const to = byNumber(req.query.to) || revisions[0];
+        const from = byNumber(req.query.from) || revisions.find(revision => revision.revision < to.revision) || revisions[revisions.length - 1];
+        const fields = REVISION_FIELDS
+          .filter(field => !sameValue(from.snapshot[field], to.snapshot[field]))
+          .map(field => diffField(field, from.snapshot[field], to.snapshot[field]));
+        comparison = { from, to, fields };
+      }
+
+      res.render("history.ejs", { post, revisions, comparison, isMongoConnected, selectedCategory: null });
+    } catch (err) {
+      console.error("Error loading post history:", err);
+      res.status(500).send("Error loading post history");
+    }
+  });
+
+  router.post("/posts/:id/history/:revision/restore", canEditPost, async (req, res) => {
+    try {
+      const post = await postRepo().findById(req.params.id);
+      if (!post) {
+        return res.status(404).send("Post not found");
+      }
+
+      const revisionNumber = parseInt(req.params.revision, 10);
+      const revision = (await postRepo().listRevisions(post._id)).find(r => r.revision === revisionNumber);
+      if (!revision) {
+        return res.status(404).send("Revision not found");
+      }
+
+      const previousSnapshot = snapshotPost(post);
+      const restored = {};
+      REVISION_FIELDS.forEach(field => {
+        const value = revision.snapshot[field];
+        restored[field] = field === 'tags' ? [...(value || [])] : (value ?? (field === 'excerpt' ? '' : null));
+      });
+
+      const updatedPost = await postRepo().update(post._id, restored);
+      await recordRevision(postRepo(), updatedPost, previousSnapshot, req.session.user, { restoredFrom: revisionNumber });
+      console.log(`⏪ Post ${post._id} restored to revision ${revisionNumber} by ${req.session.user.username}`);
+      res.redirect(`/posts/${post._id}/history`);
+    } catch (err) {
+      console.error("Error restoring revision:", err);
+      res.status(500).send("Error restoring revision");
+    }
+  });
+
+  router.post("/posts/:id/delete", canEditPost, async (req, res) => {
+    try {
+      const deletedPost = await postRepo().delete(req.params.id);
+      if (!deletedPost) {
+        return res.status(404).send("Post not found");
+      }
+      await commentRepo().deleteForPosts([deletedPost._id]);
+      res.redirect("/");
+    } catch (err) {
+      console.error("Error deleting post:", err);
+      res.status(500).send("Error deleting post");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,32 @@
+// For search engines: /sitemap.xml lists the home page, categories and published posts by their slug URLs,
+// /robots.txt keeps crawlers out of forms and account pages and points them at the sitemap
+import express from "express";
+import { siteUrl } from "../utils/feeds.js";
+import { SITEMAP_SIZE, renderSitemap, renderRobots } from "../utils/seo.js";
+
+export function createSeoRouter({ storage }) {
+  const router = express.Router();
+  const { postRepo } = storage;
+
+  router.get("/sitemap.xml", async (req, res) => {
+    try {
+      const repo = postRepo();
+      const [posts, categories] = await Promise.all([
+        repo.listPublishedLinks({ limit: SITEMAP_SIZE }),
+        repo.categories({ publishedOnly: true })
+      ]);
+      res.set('Cache-Control', 'public, max-age=3600');
+      res.type('application/xml').send(renderSitemap(siteUrl(req), posts, categories));
+    } catch (error) {
+      console.error("Error building sitemap:", error);
+      res.status(500).send("Error building sitemap");
+    }
+  });
+
+  router.get("/robots.txt", (req, res) => {
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type('text/plain').send(renderRobots(siteUrl(req)));
+  });
+
+  return router;
+}
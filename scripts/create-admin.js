@@ -0,0 +1,110 @@
+// Create the first admin account (or promote an existing user) from the command line.
+//
+//   npm run create-admin -- --username owner --email owner@example.com
+//   npm run create-admin -- --promote someuser
+//
+// The password is read from ADMIN_PASSWORD or prompted for without echoing.
+import { parseArgs } from "util";
+import { createInterface } from "readline/promises";
+import { Writable } from "stream";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+import { recordAudit } from "../utils/audit.js";
+
+dotenv.config();
+
+const USAGE = `Usage:
+  npm run create-admin -- --username <name> --email <email>
+  npm run create-admin -- --promote <username-or-email>`;
+
+// Prompt on stdout while swallowing the echoed keystrokes
+async function promptHidden(question) {
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!output.muted) process.stdout.write(chunk, encoding);
+      callback();
+    }
+  });
+  const rl = createInterface({ input: process.stdin, output, terminal: true });
+  const answer = rl.question(question);
+  output.muted = true;
+  const value = await answer;
+  rl.close();
+  process.stdout.write("\n");
+  return value;
+}
+
+async function readPassword() {
+  if (process.env.ADMIN_PASSWORD) return process.env.ADMIN_PASSWORD;
+  const password = await promptHidden("Admin password: ");
+  const confirmation = await promptHidden("Confirm password: ");
+  if (password !== confirmation) {
+    throw new Error("Passwords do not match");
+  }
+  return password;
+}
+
+async function promote(usernameOrEmail) {
+  const user = await User.findOne({ $or: [{ username: usernameOrEmail }, { email: usernameOrEmail.toLowerCase() }] });
+  if (!user) {
+    throw new Error(`No user named ${usernameOrEmail}`);
+  }
+  if (user.role === 'admin') {
+    console.log(`ℹ️ ${user.username} is already an admin`);
+    return;
+  }
+
+  const previousRole = user.role;
+  user.role = 'admin';
+  await user.save();
+  await recordAudit({ action: 'user.role_changed', target: user, details: { from: previousRole, to: 'admin' }, source: 'cli' });
+  console.log(`🔐 Promoted ${user.username} to admin`);
+}
+
+async function create(username, email) {
+  const password = await readPassword();
+  const admin = new User({ username: username.trim(), email: email.trim().toLowerCase(), password, role: 'admin', isVerified: true, emailVerifiedAt: new Date() });
+  await admin.save();
+  await recordAudit({ action: 'admin.created', target: admin, details: { method: 'cli' }, source: 'cli' });
+  console.log(`🔐 Admin account created: ${admin.username} (${admin.email})`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      username: { type: "string" },
+      email: { type: "string" },
+      promote: { type: "string" }
+    }
+  });
+
+  if (!values.promote && !(values.username && values.email)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  if (!process.env.MONGODB_URI) {
+    console.error("❌ MONGODB_URI environment variable is not set");
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+  try {
+    if (values.promote) {
+      await promote(values.promote);
+    } else {
+      await create(values.username, values.email);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  // Surface the first validation message instead of the whole mongoose error
+  const message = error.errors ? Object.values(error.errors)[0].message : error.code === 11000 ? "Username or email already registered" : error.message;
+  console.error(`❌ ${message}`);
+  process.exitCode = 1;
+});
@@ -1,47 +0,0 @@
-// Simple security test to verify our implementations
-import fetch from 'node-fetch';
-
-async function testSecurityFeatures() {
-  const baseUrl = 'http://localhost:3000';
-  
-  console.log('🔒 Testing Security Features...\n');
-  
-  try {
-    // Test 1: Check security headers
-    console.log('1. Testing Security Headers...');
-    const response = await fetch(baseUrl);
-    const headers = response.headers;
-    
-    console.log('   ✓ X-Content-Type-Options:', headers.get('x-content-type-options') || 'Missing');
-    console.log('   ✓ X-Frame-Options:', headers.get('x-frame-options') || 'Missing');
-    console.log('   ✓ X-XSS-Protection:', headers.get('x-xss-protection') || 'Missing');
-    console.log('   ✓ Content-Security-Policy:', headers.get('content-security-policy') ? 'Present' : 'Missing');
-    
-    // Test 2: Test rate limiting (this would require multiple requests)
-    console.log('\n2. Rate Limiting is configured ✓');
-    
-    // Test 3: Check if server handles malformed requests gracefully
-    console.log('\n3. Testing error handling...');
-    try {
-      const badResponse = await fetch(`${baseUrl}/nonexistent-route`);
-      console.log('   ✓ 404 handling:', badResponse.status === 404 ? 'Working' : 'Issue');
-    } catch (err) {
-      console.log('   ✓ Error handling: Server stable');
-    }
-    
-    console.log('\n🎉 Security tests completed successfully!');
-    console.log('\nKey Security Features Implemented:');
-    console.log('• XSS Protection with input sanitization');
-    console.log('• Content Security Policy (CSP)');
-    console.log('• Rate limiting for API endpoints');
-    console.log('• File upload validation and filtering');
-    console.log('• Input validation with express-validator');
-    console.log('• Security headers with Helmet.js');
-    
-  } catch (error) {
-    console.error('❌ Security test failed:', error.message);
-  }
-}
-
-// Run the test
-testSecurityFeatures();
\ No newline at end of file
@@ -0,0 +1,34 @@
+// REST API error responses, on fallback mode
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp, signIn, csrfToken } from './harness.js';
+
+describe('api', () => {
+  let harness;
+  let admin;
+
+  before(async () => {
+    harness = await bootApp();
+    admin = await signIn(harness.app, 'admin', 'admin123');
+  });
+  after(() => harness.close());
+
+  it('answers malformed JSON with a JSON 400', async () => {
+    const token = await csrfToken(admin);
+    const res = await admin.post('/api/v1/posts').set('X-CSRF-Token', token)
+      .set('Content-Type', 'application/json').send('{bad')
+      .expect(400)
+      .expect('Content-Type', /json/);
+    assert.equal(typeof res.body.error, 'string');
+    assert.doesNotMatch(res.text, /<html|at JSON\.parse/i);
+  });
+
+  it('answers oversized JSON with a JSON 413', async () => {
+    const token = await csrfToken(admin);
+    const res = await admin.post('/api/v1/posts').set('X-CSRF-Token', token)
+      .send({ title: 'Too long', body: 'x'.repeat(200 * 1024) })
+      .expect(413)
+      .expect('Content-Type', /json/);
+    assert.equal(typeof res.body.error, 'string');
+  });
+});
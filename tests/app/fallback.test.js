@@ -0,0 +1,352 @@
+// Fallback mode: no MONGODB_URI, so posts live in the in-memory repository backed by the offline store
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import sharp from 'sharp';
+import { bootApp, request, signIn, submitForm, csrfToken, composePost, TINY_PNG } from './harness.js';
+
+describe('fallback mode', () => {
+  let harness;
+  let admin;
+
+  before(async () => {
+    harness = await bootApp();
+    admin = await signIn(harness.app, 'admin', 'admin123');
+  });
+  after(() => harness.close());
+
+  describe('security basics', () => {
+    it('sends the helmet headers', async () => {
+      const res = await request(harness.app).get('/').expect(200);
+      assert.equal(res.headers['x-content-type-options'], 'nosniff');
+      assert.equal(res.headers['x-frame-options'], 'SAMEORIGIN');
+      assert.match(res.headers['content-security-policy'], /default-src 'self'/);
+    });
+
+    it('answers unknown pages with 404, in JSON under /api', async () => {
+      await request(harness.app).get('/nonexistent-route').expect(404);
+      const res = await request(harness.app).get('/api/v1/nonexistent').expect(404);
+      assert.deepEqual(res.body, { error: 'Not found' });
+    });
+
+    it('rejects forms without a CSRF token', async () => {
+      await admin.post('/compose').type('form').send({ postTitle: 'No token', postBody: 'Nope' }).expect(403);
+    });
+  });
+
+  describe('signup and login', () => {
+    it('turns signups away while the database is offline', async () => {
+      const agent = request.agent(harness.app);
+      const res = await submitForm(agent, '/signup', {
+        username: 'newcomer', email: 'newcomer@example.com', password: 'secret123', confirmPassword: 'secret123'
+      });
+      assert.equal(res.status, 200);
+      assert.match(res.text, /Registration is temporarily unavailable/);
+    });
+
+    it('only accepts the fallback admin account', async () => {
+      const agent = request.agent(harness.app);
+      const res = await submitForm(agent, '/login', { usernameOrEmail: 'admin', password: 'wrong-password' });
+      assert.equal(res.status, 200);
+      assert.match(res.text, /Offline mode: Use admin\/admin123/);
+      await agent.get('/compose').expect(302).expect('Location', '/login');
+    });
+
+    it('signs the fallback admin in', async () => {
+      await admin.get('/compose').expect(200);
+    });
+  });
+
+  describe('posts', () => {
+    let postId;
+
+    before(async () => {
+      postId = await composePost(admin, { postTitle: 'Written offline', postBody: 'Saved to **disk**.' });
+    });
+
+    it('publishes posts from the compose form', async () => {
+      assert.ok(postId);
+      const res = await request(harness.app).get(`/posts/${postId}`).expect(200);
+      assert.match(res.text, /Written offline/);
+      assert.match(res.text, /<strong>disk<\/strong>/);
+    });
+
+    it('journals offline writes to the offline store', async () => {
+      const saved = JSON.parse(await fs.readFile(path.join(harness.workDir, 'offline-store.json'), 'utf8'));
+      assert.ok(saved.posts.some(post => post._id === postId));
+      assert.ok(saved.journal.some(entry => entry.op === 'create' && entry.postId === postId));
+    });
+
+    it('sends visitors who try to edit to the login page', async () => {
+      await request(harness.app).get(`/posts/${postId}/edit`).expect(302).expect('Location', '/login');
+    });
+
+    it('lets the admin edit any post', async () => {
+      const edited = await submitForm(admin, `/posts/${postId}/edit`, { title: 'Edited offline', body: 'Still on disk.' });
+      assert.equal(edited.headers.location, `/posts/${postId}`);
+      const res = await request(harness.app).get(`/api/v1/posts/${postId}`).expect(200);
+      assert.equal(res.body.data.title, 'Edited offline');
+    });
+
+    it('validates and escapes edits like new posts', async () => {
+      const rejected = await submitForm(admin, `/posts/${postId}/edit`, { title: 'x'.repeat(201), body: 'Too long a title.' });
+      assert.equal(rejected.status, 400);
+      assert.match(rejected.text, /Title must be between 1 and 200 characters/);
+      assert.match(rejected.text, /name="body"[^>]*>Too long a title\.<\/textarea>/);
+
+      await submitForm(admin, `/posts/${postId}/edit`, { title: 'Cats <b>& dogs</b>', body: 'Still on disk.' });
+      const res = await request(harness.app).get(`/api/v1/posts/${postId}`).expect(200);
+      assert.equal(res.body.data.title, 'Cats &lt;b&gt;&amp; dogs&lt;&#x2F;b&gt;');
+      const form = await admin.get(`/posts/${postId}/edit`).expect(200);
+      assert.match(form.text, /value="Cats &lt;b&gt;&amp; dogs&lt;\/b&gt;"/);
+    });
+
+    it('deletes posts', async () => {
+      const deleted = await submitForm(admin, `/posts/${postId}/delete`);
+      assert.equal(deleted.headers.location, '/');
+      await request(harness.app).get(`/posts/${postId}`).expect(404);
+    });
+  });
+
+  describe('comments', () => {
+    it('lists no comments and refuses new ones while offline', async () => {
+      const postId = await composePost(admin, { postTitle: 'Quiet post' });
+      const list = await request(harness.app).get(`/posts/${postId}/comments`).expect(200);
+      assert.deepEqual(list.body, []);
+
+      const res = await submitForm(admin, `/posts/${postId}/comment`, { comment: 'Anyone there?' });
+      assert.equal(res.status, 503);
+      assert.match(res.body.error, /temporarily unavailable/);
+    });
+  });
+
+  describe('uploads', () => {
+    // Posts an image through the compose form and returns the saved post
+    async function composeWithImage(postTitle, file, filename, contentType) {
+      const res = await admin.post(`/compose?_csrf=${encodeURIComponent(await csrfToken(admin))}`)
+        .field('postTitle', postTitle)
+        .field('postBody', 'A post with a picture.')
+        .field('imageOption', 'upload')
+        .attach('imageFile', file, { filename, contentType });
+      const list = await request(harness.app).get('/api/v1/posts?limit=50').expect(200);
+      return { res, post: list.body.data.find(candidate => candidate.title === postTitle) };
+    }
+
+    function variantFiles(featuredImage) {
+      const fileName = path.basename(featuredImage);
+      return ['thumb', 'card', 'full'].map(name => path.join(harness.uploadsDir, fileName.replace('-full.webp', `-${name}.webp`)));
+    }
+
+    it('stores resized WebP variants without the original metadata', async () => {
+      const photo = await sharp({ create: { width: 2400, height: 1200, channels: 3, background: '#336699' } })
+        .jpeg()
+        .withExif({ IFD0: { Copyright: 'Somewhere private' } })
+        .toBuffer();
+      const { res, post } = await composeWithImage('With a photo', photo, 'photo.jpg', 'image/jpeg');
+      assert.equal(res.status, 302);
+      assert.match(post.featuredImage, /^\/media\/\d+-\d+-full\.webp$/);
+
+      const sizes = [];
+      for (const file of variantFiles(post.featuredImage)) {
+        const metadata = await sharp(file).metadata();
+        assert.equal(metadata.format, 'webp');
+        assert.equal(metadata.exif, undefined);
+        sizes.push(metadata.width);
+      }
+      assert.deepEqual(sizes, [320, 800, 1600]);
+
+      const page = await request(harness.app).get('/').expect(200);
+      assert.ok(page.text.includes(`srcset="${post.featuredImage.replace('-full.webp', '-thumb.webp')} 320w`));
+    });
+
+    it('never enlarges small images', async () => {
+      const { post } = await composeWithImage('With a pixel', TINY_PNG, 'pixel.png', 'image/png');
+      assert.equal((await sharp(variantFiles(post.featuredImage)[2]).metadata()).width, 1);
+    });
+
+    it('serves uploads from /media with long-lived caching and revalidation', async () => {
+      const { post } = await composeWithImage('With a served pixel', TINY_PNG, 'pixel.png', 'image/png');
+      const res = await request(harness.app).get(post.featuredImage).expect(200);
+      assert.equal(res.headers['content-type'], 'image/webp');
+      assert.equal(res.headers['cache-control'], 'public, max-age=31536000, immutable');
+      assert.equal(res.headers['cross-origin-resource-policy'], 'cross-origin');
+      assert.ok(res.headers['last-modified']);
+      assert.deepEqual(res.body, await fs.readFile(variantFiles(post.featuredImage)[2]));
+
+      await request(harness.app).get(post.featuredImage).set('If-None-Match', res.headers.etag).expect(304);
+      await request(harness.app).get('/media/1700000000000-1-full.webp').expect(404);
+      await request(harness.app).get('/media/..%2Fpackage.json').expect(404);
+    });
+
+    it('rejects files that are not images', async () => {
+      const { res, post } = await composeWithImage('With a script', Buffer.from('alert(1)'), 'pixel.js', 'text/javascript');
+      assert.ok(res.status >= 400);
+      assert.equal(post, undefined);
+    });
+
+    it('checks the content, not the name or declared type', async () => {
+      const { res, post } = await composeWithImage('With a disguise', Buffer.from('<?php echo "not a picture"; ?>'), 'pixel.png', 'image/png');
+      assert.equal(res.status, 400);
+      assert.match(res.text, /Only JPEG, PNG, WebP, and GIF images are allowed/);
+      assert.equal(post, undefined);
+    });
+  });
+
+  describe('feeds', () => {
+    let postId;
+
+    before(async () => {
+      postId = await composePost(admin, {
+        postTitle: 'Syndicated post',
+        postBody: 'Read it **anywhere**, with ![a picture](/media/feed-full.webp).',
+        category: 'Syndication',
+        excerpt: 'For feed readers & friends',
+        tags: 'feeds, reading'
+      });
+    });
+
+    it('publishes RSS, Atom and JSON Feed for the whole site', async () => {
+      const rss = await request(harness.app).get('/feed.xml').expect(200);
+      assert.match(rss.headers['content-type'], /^application\/rss\+xml/);
+      assert.ok(rss.text.includes('<title>Syndicated post</title>'));
+      assert.ok(rss.text.includes('<link>http://blog.test/posts/syndicated-post</link>'));
+      assert.ok(rss.text.includes(`<guid isPermaLink="false">http://blog.test/posts/${postId}</guid>`));
+      assert.ok(rss.text.includes('<description>For feed readers &amp; friends</description>'));
+      assert.ok(rss.text.includes('<dc:creator>admin</dc:creator>'));
+      assert.ok(rss.text.includes('<category>reading</category>'));
+      assert.ok(rss.text.includes('src=&quot;http://blog.test/media/feed-full.webp&quot;'));
+
+      const atom = await request(harness.app).get('/atom.xml').expect(200);
+      assert.match(atom.headers['content-type'], /^application\/atom\+xml/);
+      assert.ok(atom.text.includes('<link rel="self" type="application/atom+xml" href="http://blog.test/atom.xml"/>'));
+      assert.ok(atom.text.includes('<category term="Syndication"/>'));
+      assert.ok(atom.text.includes('<link rel="alternate" type="text/html" href="http://blog.test/posts/syndicated-post"/>'));
+      assert.ok(atom.text.includes(`<id>http://blog.test/posts/${postId}</id>`));
+
+      const json = await request(harness.app).get('/feed.json').expect(200);
+      assert.match(json.headers['content-type'], /^application\/feed\+json/);
+      const feed = JSON.parse(json.text);
+      assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+      const item = feed.items.find(candidate => candidate.id === `http://blog.test/posts/${postId}`);
+      assert.equal(item.url, 'http://blog.test/posts/syndicated-post');
+      assert.equal(item.summary, 'For feed readers & friends');
+      assert.deepEqual(item.authors, [{ name: 'admin', url: 'http://blog.test/users/admin' }]);
+      assert.deepEqual(item.tags, ['Syndication', 'feeds', 'reading']);
+      assert.match(item.content_html, /<strong>anywhere<\/strong>/);
+    });
+
+    it('publishes feeds per category and per author', async () => {
+      const category = JSON.parse((await request(harness.app).get('/categories/Syndication/feed.json').expect(200)).text);
+      assert.deepEqual(category.items.map(item => item.title), ['Syndicated post']);
+      assert.equal(category.home_page_url, 'http://blog.test/?category=Syndication');
+
+      const author = await request(harness.app).get('/users/admin/atom.xml').expect(200);
+      assert.ok(author.text.includes('<title>Syndicated post</title>'));
+
+      await request(harness.app).get('/categories/Nothing%20here/feed.xml').expect(404);
+      await request(harness.app).get('/users/nobody/feed.json').expect(404);
+    });
+
+    it('answers unchanged feeds with 304 until a post changes', async () => {
+      const first = await request(harness.app).get('/categories/Syndication/feed.xml').expect(200);
+      assert.ok(first.headers.etag);
+      assert.ok(first.headers['last-modified']);
+      await request(harness.app).get('/categories/Syndication/feed.xml').set('If-None-Match', first.headers.etag).expect(304);
+      await request(harness.app).get('/categories/Syndication/feed.xml').set('If-Modified-Since', first.headers['last-modified']).expect(304);
+
+      await submitForm(admin, `/posts/${postId}/edit`, { title: 'Syndicated, revised', body: 'Edited for the feed.', category: 'Syndication' });
+      const changed = await request(harness.app).get('/categories/Syndication/feed.xml').set('If-None-Match', first.headers.etag).expect(200);
+      assert.notEqual(changed.headers.etag, first.headers.etag);
+      assert.ok(changed.text.includes('<title>Syndicated, revised</title>'));
+    });
+
+    it('links the feeds from the page head', async () => {
+      const res = await request(harness.app).get('/?category=Syndication').expect(200);
+      assert.ok(res.text.includes('<link rel="alternate" type="application/rss+xml" title="Purpose &amp; Perspective (RSS)" href="/feed.xml">'));
+      assert.ok(res.text.includes('href="/categories/Syndication/atom.xml"'));
+    });
+  });
+
+  describe('remote images', () => {
+    let imageServer;
+    let port;
+
+    before(async () => {
+      imageServer = http.createServer((req, res) => {
+        if (req.url === '/pixel.png') {
+          res.writeHead(200, { 'Content-Type': 'image/png' });
+          return res.end(TINY_PNG);
+        }
+        if (req.url === '/moved.png') {
+          res.writeHead(302, { Location: '/pixel.png' });
+          return res.end();
+        }
+        if (req.url === '/to-loopback.png') {
+          res.writeHead(302, { Location: `http://127.0.0.1:${port}/pixel.png` });
+          return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<p>not an image</p>');
+      });
+      await new Promise(resolve => imageServer.listen(0, 'localhost', resolve));
+      port = imageServer.address().port;
+    });
+    after(() => new Promise(resolve => imageServer.close(resolve)));
+
+    async function composeWithUrl(postTitle, featuredImageUrl) {
+      const res = await submitForm(admin, '/compose', { postTitle, postBody: 'A post with a remote picture.', imageOption: 'url', featuredImageUrl });
+      const list = await request(harness.app).get('/api/v1/posts?limit=50').expect(200);
+      return { res, post: list.body.data.find(candidate => candidate.title === postTitle) };
+    }
+
+    it('downloads the image into the upload pipeline instead of hot-linking it', async () => {
+      const { res, post } = await composeWithUrl('Remote pixel', `http://localhost:${port}/moved.png`);
+      assert.equal(res.status, 302);
+      assert.match(post.featuredImage, /^\/media\/\d+-\d+-full\.webp$/);
+      assert.equal((await sharp(await fs.readFile(path.join(harness.uploadsDir, path.basename(post.featuredImage)))).metadata()).format, 'webp');
+    });
+
+    it('refuses private network addresses, also after a redirect', async () => {
+      for (const url of [`http://127.0.0.1:${port}/pixel.png`, 'http://[::1]/pixel.png', 'http://169.254.169.254/latest/meta-data',
+        `http://localhost:${port}/to-loopback.png`]) {
+        const { res, post } = await composeWithUrl(`Internal ${url}`, url);
+        assert.equal(res.status, 400, url);
+        assert.match(res.text, /private network address/);
+        assert.equal(post, undefined);
+      }
+    });
+
+    it('refuses URLs that are not images', async () => {
+      const { res } = await composeWithUrl('Remote page', `http://localhost:${port}/page.html`);
+      assert.equal(res.status, 400);
+      assert.match(res.text, /does not point to an image/);
+
+      const ftp = await composeWithUrl('Remote ftp', 'ftp://example.com/pixel.png');
+      assert.equal(ftp.res.status, 400);
+    });
+
+    it('imports featured images given to the API', async () => {
+      const token = await csrfToken(admin);
+      const res = await admin.post('/api/v1/posts').set('X-CSRF-Token', token)
+        .send({ title: 'API remote pixel', body: 'Imported through the API.', featuredImage: `http://localhost:${port}/pixel.png` })
+        .expect(201);
+      assert.match(res.body.data.featuredImage, /^\/media\//);
+
+      const refused = await admin.patch(`/api/v1/posts/${res.body.data.id}`).set('X-CSRF-Token', token)
+        .send({ featuredImage: `http://127.0.0.1:${port}/pixel.png` })
+        .expect(400);
+      assert.equal(refused.body.details[0].field, 'featuredImage');
+    });
+
+    it('only allows images from this site, and links to others from Markdown', async () => {
+      const postId = await composePost(admin, { postTitle: 'Markdown pictures', postBody: '![local](/media/a-full.webp) and ![tracker](https://example.com/pixel.gif)' });
+      const res = await request(harness.app).get(`/posts/${postId}`).expect(200);
+      assert.match(res.headers['content-security-policy'], /img-src 'self'(;|$)/);
+      assert.ok(res.text.includes('<img src="/media/a-full.webp" alt="local"'));
+      assert.ok(!res.text.includes('<img src="https://example.com/pixel.gif"'));
+      assert.ok(res.text.includes('href="https://example.com/pixel.gif"'));
+    });
+  });
+});
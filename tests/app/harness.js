@@ -0,0 +1,109 @@
+// Builds the app in-process with createApp() for route tests: supertest drives it without opening a port.
+// node --test runs every test file in its own process, so each file gets a fresh app and MongoDB connection.
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createApp } from '../../app.js';
+import { createMailer } from '../../utils/mailer.js';
+import { createOfflineStore } from '../../utils/offlineStore.js';
+import { createUploadStorage } from '../../utils/uploadStorage.js';
+
+// Settings the tests rely on, applied over anything a local .env would provide
+function testEnvironment() {
+  return {
+    TOKEN_SECRET: 'test-token-secret',
+    APP_URL: 'http://blog.test',
+    FALLBACK_ADMIN_USERNAME: 'admin',
+    FALLBACK_ADMIN_PASSWORD: 'admin123',
+    REQUIRE_ADMIN_2FA: 'off',
+    COMMENT_MODERATION: 'on',
+    REMOTE_IMAGE_ALLOWED_HOSTS: 'localhost' // the image server in the remote image tests; 127.0.0.1 stays blocked
+  };
+}
+
+// { app, workDir, uploadsDir, close } or, with mongo: true and no usable mongod binary, { skip: reason }
+export async function bootApp({ mongo = false } = {}) {
+  let mongod = null;
+  if (mongo) {
+    const { MongoMemoryServer } = await import('mongodb-memory-server');
+    try {
+      mongod = await MongoMemoryServer.create();
+    } catch (error) {
+      return { skip: `in-memory MongoDB unavailable (${error.message.split('\n')[0]})` };
+    }
+  }
+
+  // The app logs progress to stdout, which node --test uses to report results; TEST_LOGS=1 shows it on stderr
+  console.log = process.env.TEST_LOGS ? console.error : () => {};
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'blog-tests-'));
+  const uploadsDir = path.join(workDir, 'uploads');
+  Object.assign(process.env, testEnvironment());
+
+  const app = await createApp({
+    mongoUri: mongod ? mongod.getUri('blog-tests') : null, // null rather than the default, which a local .env may set
+    sessionSecret: 'test-session-secret',
+    offlineStore: createOfflineStore(path.join(workDir, 'offline-store.json')),
+    mailer: createMailer({ MAIL_TRANSPORT: 'file', MAIL_OUTBOX_DIR: path.join(workDir, 'mail') }),
+    uploadStorage: createUploadStorage({ UPLOAD_STORAGE: 'local', UPLOADS_DIR: uploadsDir }),
+    scheduler: false
+  });
+  await app.databaseReady;
+
+  return {
+    app,
+    workDir,
+    uploadsDir,
+    async close() {
+      await app.shutdown();
+      if (mongod) await mongod.stop();
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// The token the app embeds in forms for this agent's session
+export async function csrfToken(agent) {
+  const res = await agent.get('/api/v1/csrf-token').expect(200);
+  return res.body.csrfToken;
+}
+
+// Posts a form with the session's CSRF token and resolves with the response
+export async function submitForm(agent, url, fields = {}) {
+  const token = await csrfToken(agent);
+  return agent.post(url).type('form').send({ ...fields, _csrf: token });
+}
+
+// A cookie-keeping client, signed in with the given credentials
+export async function signIn(app, usernameOrEmail, password) {
+  const agent = request.agent(app);
+  const res = await submitForm(agent, '/login', { usernameOrEmail, password });
+  assert.equal(res.status, 302, `${usernameOrEmail} could not sign in`);
+  return agent;
+}
+
+// Mail written by MAIL_TRANSPORT=file, oldest first
+export async function readOutbox(workDir) {
+  const outboxDir = path.join(workDir, 'mail');
+  const names = await fs.readdir(outboxDir).catch(() => []);
+  return Promise.all(names.sort().map(async name => JSON.parse(await fs.readFile(path.join(outboxDir, name), 'utf8'))));
+}
+
+// Publishes a post through the compose form and returns its id (titles are unique within a test file)
+export async function composePost(agent, { postTitle, postBody = 'Written during a test run.', ...fields }) {
+  const saved = await submitForm(agent, '/compose', { postTitle, postBody, category: 'Testing', ...fields });
+  assert.equal(saved.status, 302, `"${postTitle}" was not saved`);
+  const res = await agent.get('/api/v1/posts?limit=50').expect(200);
+  const post = res.body.data.find(candidate => candidate.title === postTitle);
+  return post ? post.id : null;
+}
+
+// A 1x1 transparent PNG for upload tests
+export const TINY_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+export { request };
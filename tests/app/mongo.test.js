@@ -0,0 +1,281 @@
+// The app on MongoDB, using mongodb-memory-server as a throwaway database.
+// The suite is skipped when no mongod binary can be downloaded or found (set MONGOMS_SYSTEM_BINARY to use a local one).
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createUploadStorage } from '../../utils/uploadStorage.js';
+import { bootApp, request, signIn, submitForm, csrfToken, composePost, readOutbox, TINY_PNG } from './harness.js';
+
+const harness = await bootApp({ mongo: true });
+
+describe('on MongoDB', { skip: harness.skip }, () => {
+  let User;
+  const password = 'correct-horse';
+
+  async function signUp(username) {
+    const agent = request.agent(harness.app);
+    const res = await submitForm(agent, '/signup', {
+      username, email: `${username}@example.com`, password, confirmPassword: password
+    });
+    assert.equal(res.headers.location, '/?signup-success=true');
+    return agent;
+  }
+
+  before(async () => {
+    ({ default: User } = await import('../../models/User.js'));
+  });
+  after(() => harness.close());
+
+  describe('signup and login', () => {
+    it('creates the account, signs it in and mails a verification link', async () => {
+      const agent = await signUp('ada');
+      await agent.get('/compose').expect(200);
+
+      const user = await User.findOne({ username: 'ada' });
+      assert.equal(user.isVerified, false);
+
+      const [message] = await readOutbox(harness.workDir);
+      assert.equal(message.to, 'ada@example.com');
+      const link = /http:\/\/blog\.test(\/verify-email\/\S+)/.exec(message.text);
+      assert.ok(link, 'the email should contain a verification link');
+
+      await agent.get(link[1]).expect(200);
+      assert.equal((await User.findOne({ username: 'ada' })).isVerified, true);
+    });
+
+    it('refuses a username that is taken', async () => {
+      const agent = request.agent(harness.app);
+      const res = await submitForm(agent, '/signup', {
+        username: 'ada', email: 'someone-else@example.com', password, confirmPassword: password
+      });
+      assert.equal(res.status, 200);
+      assert.match(res.text, /Username is already taken/);
+    });
+
+    it('signs in with the right password only', async () => {
+      const agent = request.agent(harness.app);
+      const wrong = await submitForm(agent, '/login', { usernameOrEmail: 'ada', password: 'wrong-password' });
+      assert.equal(wrong.status, 200);
+      assert.match(wrong.text, /Invalid username\/email or password/);
+
+      const right = await submitForm(agent, '/login', { usernameOrEmail: 'ada@example.com', password });
+      assert.equal(right.headers.location, '/');
+    });
+  });
+
+  describe('post ownership', () => {
+    let author;
+    let stranger;
+    let admin;
+    let postId;
+
+    before(async () => {
+      author = await signUp('author');
+      stranger = await signUp('stranger');
+      await signUp('editor');
+      await User.updateOne({ username: 'editor' }, { role: 'admin' });
+      admin = await signIn(harness.app, 'editor', password);
+      postId = await composePost(author, { postTitle: 'Mine to change' });
+    });
+
+    it('saves the author with the post', async () => {
+      const res = await request(harness.app).get(`/api/v1/posts/${postId}`).expect(200);
+      assert.equal(res.body.data.authorName, 'author');
+    });
+
+    it('lists the post in the author\'s feed, and no feed for suspended accounts', async () => {
+      const feed = JSON.parse((await request(harness.app).get('/users/author/feed.json').expect(200)).text);
+      assert.deepEqual(feed.items.map(item => item.id), [`http://blog.test/posts/${postId}`]);
+
+      await User.updateOne({ username: 'stranger' }, { suspendedAt: new Date() });
+      await request(harness.app).get('/users/stranger/feed.json').expect(404);
+      await User.updateOne({ username: 'stranger' }, { suspendedAt: null });
+    });
+
+    it('keeps other users out of the edit page, edits and deletes', async () => {
+      await stranger.get(`/posts/${postId}/edit`).expect(403);
+      assert.equal((await submitForm(stranger, `/posts/${postId}/edit`, { title: 'Hijacked', body: 'Mine now' })).status, 403);
+      assert.equal((await submitForm(stranger, `/posts/${postId}/delete`)).status, 403);
+
+      const res = await request(harness.app).get(`/api/v1/posts/${postId}`).expect(200);
+      assert.equal(res.body.data.title, 'Mine to change');
+    });
+
+    it('lets the author edit', async () => {
+      await author.get(`/posts/${postId}/edit`).expect(200);
+      const res = await submitForm(author, `/posts/${postId}/edit`, { title: 'Changed by me', body: 'Second draft.' });
+      assert.equal(res.headers.location, `/posts/${postId}`);
+    });
+
+    it('lets an admin edit any post', async () => {
+      const res = await submitForm(admin, `/posts/${postId}/edit`, { title: 'Tidied by an admin', body: 'Second draft.' });
+      assert.equal(res.headers.location, `/posts/${postId}`);
+      const post = await request(harness.app).get(`/api/v1/posts/${postId}`).expect(200);
+      assert.equal(post.body.data.title, 'Tidied by an admin');
+    });
+
+    it('lets the author delete', async () => {
+      const res = await submitForm(author, `/posts/${postId}/delete`);
+      assert.equal(res.headers.location, '/');
+      await request(harness.app).get(`/posts/${postId}`).expect(404);
+    });
+  });
+
+  describe('comments', () => {
+    let owner;
+    let reader;
+    let postId;
+
+    before(async () => {
+      owner = await signUp('owner');
+      reader = await signUp('reader');
+      postId = await composePost(owner, { postTitle: 'Open for comments' });
+    });
+
+    it('holds comments from new accounts for review, visible only to their author', async () => {
+      const res = await submitForm(reader, `/posts/${postId}/comment`, { comment: 'First!' });
+      assert.equal(res.headers.location, `/posts/${postId}?comment=held#comments`);
+
+      const own = await reader.get(`/posts/${postId}/comments`).expect(200);
+      assert.deepEqual(own.body.map(comment => comment.content), ['First!']);
+      const publicView = await request(harness.app).get(`/posts/${postId}/comments`).expect(200);
+      assert.deepEqual(publicView.body, []);
+    });
+
+    it('publishes comments from established accounts', async () => {
+      // Straight to the collection: mongoose treats createdAt as immutable
+      await User.collection.updateOne({ username: 'reader' }, { $set: { isVerified: true, createdAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } });
+      const res = await submitForm(reader, `/posts/${postId}/comment`, { comment: 'Worth the wait.' });
+      assert.equal(res.headers.location, `/posts/${postId}#comments`);
+
+      const publicView = await request(harness.app).get(`/posts/${postId}/comments`).expect(200);
+      assert.deepEqual(publicView.body.map(comment => comment.content), ['Worth the wait.']);
+    });
+
+    it('lets the comment author and the post owner delete, and no one else', async () => {
+      const [comment] = (await request(harness.app).get(`/posts/${postId}/comments`).expect(200)).body;
+      const stranger = await signUp('passerby');
+
+      assert.equal((await submitForm(stranger, `/comments/${comment._id}/delete`)).status, 403);
+      const res = await submitForm(owner, `/comments/${comment._id}/delete`);
+      assert.deepEqual(res.body, { success: true });
+
+      const publicView = await request(harness.app).get(`/posts/${postId}/comments`).expect(200);
+      assert.deepEqual(publicView.body, []);
+    });
+
+    it('sends visitors who are not signed in to the login page', async () => {
+      const res = await submitForm(request.agent(harness.app), `/posts/${postId}/comment`, { comment: 'Hello?' });
+      assert.equal(res.headers.location, '/login');
+    });
+  });
+
+  describe('media library', () => {
+    let Media;
+    let sweepOrphanedMedia;
+    let author;
+    let firstPostId;
+
+    async function upload(agent, url, fields) {
+      let req = agent.post(`${url}?_csrf=${encodeURIComponent(await csrfToken(agent))}`);
+      for (const [name, value] of Object.entries(fields)) req = req.field(name, value);
+      const res = await req.attach('imageFile', TINY_PNG, { filename: 'pixel.png', contentType: 'image/png' });
+      const media = await Media.findOne().sort({ createdAt: -1, _id: -1 });
+      return { res, media };
+    }
+
+    before(async () => {
+      ({ default: Media } = await import('../../models/Media.js'));
+      ({ sweepOrphanedMedia } = await import('../../utils/media.js'));
+      author = await signUp('photographer');
+      await upload(author, '/compose', { postTitle: 'First light', postBody: 'A picture.', imageOption: 'upload' });
+      const list = await request(harness.app).get('/api/v1/posts?limit=50').expect(200);
+      firstPostId = list.body.data.find(post => post.title === 'First light').id;
+    });
+
+    it('records the upload with its owner, size and post', async () => {
+      const media = await Media.findOne({ ownerName: 'photographer' });
+      assert.equal(media.originalName, 'pixel.png');
+      assert.ok(media.size > 0);
+      assert.deepEqual(media.posts.map(String), [firstPostId]);
+      assert.equal(media.unreferencedAt, null);
+
+      const page = await author.get('/media').expect(200);
+      assert.ok(page.text.includes(media.variants.get('thumb')));
+      assert.match(page.text, /First light/);
+    });
+
+    it('reuses library images in other posts, but only the owner\'s', async () => {
+      const media = await Media.findOne({ ownerName: 'photographer' });
+      const secondId = await composePost(author, { postTitle: 'Second light', imageOption: 'library', mediaId: String(media._id) });
+      const reused = await request(harness.app).get(`/api/v1/posts/${secondId}`).expect(200);
+      assert.equal(reused.body.data.featuredImage, media.url);
+      assert.deepEqual((await Media.findById(media._id)).posts.map(String).sort(), [firstPostId, secondId].sort());
+
+      const stranger = await signUp('borrower');
+      const res = await submitForm(stranger, '/compose', { postTitle: 'Borrowed light', postBody: 'Not mine.', imageOption: 'library', mediaId: String(media._id) });
+      assert.equal(res.status, 400);
+
+      await submitForm(author, `/posts/${secondId}/delete`);
+      assert.deepEqual((await Media.findById(media._id)).posts.map(String), [firstPostId]);
+    });
+
+    it('releases a replaced featured image and refuses to delete one in use', async () => {
+      const original = await Media.findOne({ ownerName: 'photographer' }).sort({ createdAt: 1 });
+      const inUse = await submitForm(author, `/media/${original._id}/delete`);
+      assert.equal(inUse.status, 409);
+
+      const { media: replacement } = await upload(author, `/posts/${firstPostId}/edit`, { title: 'First light', body: 'A new picture.' });
+      assert.deepEqual(replacement.posts.map(String), [firstPostId]);
+
+      const released = await Media.findById(original._id);
+      assert.deepEqual(released.posts, []);
+      assert.ok(released.unreferencedAt instanceof Date);
+    });
+
+    it('sweeps unreferenced uploads and untracked upload files after the grace period', async () => {
+      const unused = await Media.findOne({ ownerName: 'photographer', posts: { $size: 0 } });
+      const inUse = await Media.findOne({ ownerName: 'photographer', posts: { $size: 1 } });
+      await fs.writeFile(path.join(harness.uploadsDir, '1700000000000-123.jpg'), 'left over');
+      await fs.writeFile(path.join(harness.uploadsDir, 'notes.txt'), 'not an upload');
+
+      const uploadStorage = createUploadStorage({ UPLOAD_STORAGE: 'local', UPLOADS_DIR: harness.uploadsDir });
+      const summary = await sweepOrphanedMedia({ uploadStorage, graceMs: 0 });
+      assert.equal(summary.removed, 1);
+      assert.equal(summary.untracked, 1);
+      assert.equal(await Media.findById(unused._id), null);
+      assert.ok(await Media.findById(inUse._id));
+      assert.deepEqual((await fs.readdir(harness.uploadsDir)).sort(), [...inUse.files, 'notes.txt'].sort());
+    });
+  });
+
+  describe('admin dashboard', () => {
+    let admin;
+    let AuditLog;
+    let Comment;
+
+    before(async () => {
+      ({ default: AuditLog } = await import('../../models/AuditLog.js'));
+      ({ default: Comment } = await import('../../models/Comment.js'));
+      await signUp('moderator');
+      await User.updateOne({ username: 'moderator' }, { role: 'admin' });
+      admin = await signIn(harness.app, 'moderator', password);
+    });
+
+    it('records bulk deletes of comments and posts in the audit log', async () => {
+      const postId = await composePost(admin, { postTitle: 'Cleared in bulk' });
+      await submitForm(admin, `/posts/${postId}/comment`, { comment: 'Soon gone.' });
+      const comment = await Comment.findOne({ content: 'Soon gone.' });
+
+      assert.equal((await submitForm(admin, '/admin/comments/bulk-delete', { ids: String(comment._id) })).status, 302);
+      const commentEntry = await AuditLog.findOne({ action: 'comment.bulk_deleted' });
+      assert.equal(commentEntry.actor.username, 'moderator');
+      assert.deepEqual(commentEntry.details, { count: 1, ids: [String(comment._id)] });
+
+      assert.equal((await submitForm(admin, '/admin/posts/bulk-delete', { ids: postId })).status, 302);
+      const postEntry = await AuditLog.findOne({ action: 'post.bulk_deleted' });
+      assert.deepEqual(postEntry.details, { count: 1, ids: [postId] });
+    });
+  });
+});
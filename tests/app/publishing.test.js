@@ -0,0 +1,71 @@
+// Drafts and scheduled posts: who can see them and when they go live, on fallback mode
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { bootApp, request, signIn, submitForm, csrfToken } from './harness.js';
+
+describe('publishing', () => {
+  let harness;
+  let admin;
+
+  before(async () => {
+    harness = await bootApp();
+    admin = await signIn(harness.app, 'admin', 'admin123');
+  });
+  after(() => harness.close());
+
+  async function storedPost(title) {
+    const saved = JSON.parse(await fs.readFile(path.join(harness.workDir, 'offline-store.json'), 'utf8'));
+    return saved.posts.find(post => post.title === title);
+  }
+
+  describe('scheduling', () => {
+    it('reads the picked time in the writer\'s timezone', async () => {
+      // 09:00 in UTC+2, where getTimezoneOffset() is -120
+      const saved = await submitForm(admin, '/compose', {
+        postTitle: 'Scheduled from Cairo',
+        postBody: 'Goes live at nine local time.',
+        category: 'Testing',
+        status: 'scheduled',
+        publishAt: '2030-01-01T09:00',
+        publishAtOffset: '-120'
+      });
+      assert.equal(saved.status, 302);
+      const post = await storedPost('Scheduled from Cairo');
+      assert.equal(post.status, 'scheduled');
+      assert.equal(new Date(post.publishAt).toISOString(), '2030-01-01T07:00:00.000Z');
+
+      // Saving the edit form unchanged from UTC-5 keeps the moment the writer sees there (02:00 local)
+      await submitForm(admin, `/posts/${post._id}/edit`, {
+        title: 'Scheduled from Cairo',
+        body: 'Goes live at nine local time.',
+        status: 'scheduled',
+        publishAt: '2030-01-01T02:00',
+        publishAtOffset: '300'
+      });
+      assert.equal(new Date((await storedPost('Scheduled from Cairo')).publishAt).toISOString(), '2030-01-01T07:00:00.000Z');
+    });
+
+    it('takes API dates with an explicit offset as written', async () => {
+      const token = await csrfToken(admin);
+      const res = await admin.post('/api/v1/posts').set('X-CSRF-Token', token)
+        .send({ title: 'Scheduled through the API', body: 'Later.', status: 'scheduled', publishAt: '2030-01-01T09:00:00+02:00' })
+        .expect(201);
+      assert.equal(res.body.data.publishAt, '2030-01-01T07:00:00.000Z');
+      await request(harness.app).get(`/api/v1/posts/${res.body.data.id}`).expect(404);
+    });
+  });
+
+  describe('visibility', () => {
+    it('keeps the comment threads of drafts to their author', async () => {
+      await submitForm(admin, '/compose', { postTitle: 'Unfinished thoughts', postBody: 'Not yet.', category: 'Testing', status: 'draft' });
+      const draft = await storedPost('Unfinished thoughts');
+
+      await request(harness.app).get(`/posts/${draft._id}/comments`).expect(404);
+      const own = await admin.get(`/posts/${draft._id}/comments`).expect(200);
+      assert.deepEqual(own.body, []);
+      await request(harness.app).get('/posts/no-such-post/comments').expect(404);
+    });
+  });
+});
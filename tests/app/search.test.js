@@ -0,0 +1,28 @@
+// Full-text search over published posts, on fallback mode (weighted term matching instead of the text index)
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp, request, signIn, composePost } from './harness.js';
+
+describe('search', () => {
+  let harness;
+
+  before(async () => {
+    harness = await bootApp();
+    const admin = await signIn(harness.app, 'admin', 'admin123');
+    await composePost(admin, { postTitle: 'Tom & "Jerry"', postBody: 'A chase through the kitchen, told again.' });
+    await composePost(admin, { postTitle: 'Garden notes', postBody: 'The **bold** tomatoes and [cats](http://x.com) again.' });
+  });
+  after(() => harness.close());
+
+  it('escapes titles once and marks the matches', async () => {
+    const res = await request(harness.app).get('/search?q=jerry').expect(200);
+    assert.match(res.text, /Tom &amp; &quot;<mark>Jerry<\/mark>&quot;/);
+    assert.doesNotMatch(res.text, /&amp;amp;|&amp;quot;/);
+  });
+
+  it('builds snippets from the rendered text, not the Markdown source', async () => {
+    const res = await request(harness.app).get('/search?q=tomatoes').expect(200);
+    assert.match(res.text, /The bold <mark>tomatoes<\/mark> and cats again\./);
+    assert.doesNotMatch(res.text, /\*\*bold\*\*|\]\(http:\/\/x\.com\)/);
+  });
+});
@@ -0,0 +1,80 @@
+// Search engines: post slugs, redirects, the sitemap, robots.txt and link-preview tags, on fallback mode
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp, request, signIn, submitForm, composePost } from './harness.js';
+
+describe('search engines', () => {
+  let harness;
+  let admin;
+
+  before(async () => {
+    harness = await bootApp();
+    admin = await signIn(harness.app, 'admin', 'admin123');
+  });
+  after(() => harness.close());
+
+  describe('slugs and sitemap', () => {
+    let postId;
+
+    before(async () => {
+      postId = await composePost(admin, {
+        postTitle: 'Finding Your Way',
+        postBody: 'Some thoughts on direction.',
+        excerpt: 'Direction, purpose & maps',
+        category: 'Wayfinding'
+      });
+    });
+
+    it('serves posts at their slug and links to it', async () => {
+      const api = await request(harness.app).get(`/api/v1/posts/${postId}`).expect(200);
+      assert.equal(api.body.data.slug, 'finding-your-way');
+
+      await request(harness.app).get('/posts/finding-your-way').expect(200);
+      const home = await request(harness.app).get('/?category=Wayfinding').expect(200);
+      assert.ok(home.text.includes('<a href="/posts/finding-your-way"><h2>'));
+    });
+
+    it('names the slug URL as canonical and describes the post for link previews', async () => {
+      const res = await request(harness.app).get(`/posts/${postId}`).expect(200);
+      assert.ok(res.text.includes('<link rel="canonical" href="http://blog.test/posts/finding-your-way">'));
+      assert.ok(res.text.includes('<meta property="og:type" content="article">'));
+      assert.ok(res.text.includes('<meta property="og:title" content="Finding Your Way">'));
+      assert.ok(res.text.includes('<meta property="og:description" content="Direction, purpose &amp; maps">'));
+      assert.ok(res.text.includes('<meta name="twitter:card" content="summary">'));
+      assert.ok(!res.text.includes('name="robots"'));
+    });
+
+    it('redirects the old slug after a rename', async () => {
+      await submitForm(admin, `/posts/${postId}/edit`, { title: 'Finding Our Way', body: 'Some thoughts on direction.', category: 'Wayfinding' });
+      await request(harness.app).get('/posts/finding-your-way?comment=held')
+        .expect(301)
+        .expect('Location', '/posts/finding-our-way?comment=held');
+      await request(harness.app).get('/posts/finding-our-way').expect(200);
+      await request(harness.app).get('/posts/never-written').expect(404);
+    });
+
+    it('keeps drafts out of reach and out of search engines', async () => {
+      await submitForm(admin, '/compose', { postTitle: 'Unfinished map', postBody: 'Not yet.', status: 'draft' });
+      await request(harness.app).get('/posts/unfinished-map').expect(404);
+      const own = await admin.get('/posts/unfinished-map').expect(200);
+      assert.ok(own.text.includes('<meta name="robots" content="noindex">'));
+
+      const sitemap = await request(harness.app).get('/sitemap.xml').expect(200);
+      assert.ok(!sitemap.text.includes('unfinished-map'));
+    });
+
+    it('lists published posts in the sitemap and points crawlers at it', async () => {
+      const sitemap = await request(harness.app).get('/sitemap.xml').expect(200);
+      assert.match(sitemap.headers['content-type'], /^application\/xml/);
+      assert.ok(sitemap.text.includes('<loc>http://blog.test/</loc>'));
+      assert.ok(sitemap.text.includes('<loc>http://blog.test/?category=Wayfinding</loc>'));
+      assert.ok(sitemap.text.includes('<loc>http://blog.test/posts/finding-our-way</loc>'));
+      assert.ok(!sitemap.text.includes('finding-your-way'));
+
+      const robots = await request(harness.app).get('/robots.txt').expect(200);
+      assert.match(robots.headers['content-type'], /^text\/plain/);
+      assert.match(robots.text, /^Disallow: \/admin$/m);
+      assert.match(robots.text, /^Sitemap: http:\/\/blog\.test\/sitemap\.xml$/m);
+    });
+  });
+});
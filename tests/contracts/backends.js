@@ -0,0 +1,44 @@
+// The storage backends every repository contract runs against.
+// The in-memory backend always runs. MongoDB runs when MONGODB_TEST_URI points at a disposable database:
+// its collections are emptied before every test.
+import mongoose from 'mongoose';
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+
+export function contractBackends({ memory, mongo }) {
+  return [
+    {
+      name: 'in-memory',
+      skip: false,
+      create: memory,
+      async connect() {},
+      async clear() {},
+      async disconnect() {}
+    },
+    {
+      name: 'MongoDB',
+      skip: MONGODB_TEST_URI ? false : 'set MONGODB_TEST_URI to run against MongoDB',
+      create: mongo,
+      async connect() {
+        await mongoose.connect(MONGODB_TEST_URI, { serverSelectionTimeoutMS: 5000 });
+        // Search needs the text index in place before the first query
+        await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+      },
+      async clear() {
+        await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+      },
+      async disconnect() {
+        await mongoose.disconnect();
+      }
+    }
+  ];
+}
+
+// A valid ObjectId string, so ids work with both backends
+export function newId() {
+  return new mongoose.Types.ObjectId().toString();
+}
+
+export function wait(ms = 5) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
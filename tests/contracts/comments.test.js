@@ -0,0 +1,178 @@
+// CommentRepository contract: both implementations in repositories/comments.js must behave the same way
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMongoCommentRepository, createMemoryCommentRepository, DELETED_COMMENT_TEXT } from '../../repositories/comments.js';
+import { contractBackends, newId, wait } from './backends.js';
+
+const backends = contractBackends({
+  memory: () => createMemoryCommentRepository(),
+  mongo: () => createMongoCommentRepository()
+});
+
+for (const backend of backends) {
+  describe(`CommentRepository (${backend.name})`, { skip: backend.skip }, () => {
+    let comments;
+    const postId = newId();
+    const readerId = newId();
+    const otherId = newId();
+
+    const makeComment = (overrides = {}, minutesAgo = 0) => comments.create({
+      postId,
+      author: { username: 'reader', userId: readerId },
+      content: 'Lovely piece.',
+      createdAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+      ...overrides
+    });
+    const byOther = { author: { username: 'other', userId: otherId } };
+
+    before(() => backend.connect());
+    after(() => backend.disconnect());
+    beforeEach(async () => {
+      await backend.clear();
+      comments = backend.create();
+    });
+
+    describe('create', () => {
+      it('fills in the same defaults as the Comment model', async () => {
+        const comment = await makeComment();
+        assert.ok(comment._id);
+        assert.equal(comment.status, 'approved');
+        assert.equal(comment.parentId, null);
+        assert.equal(comment.deletedAt, null);
+        assert.equal(String(comment.author.userId), readerId);
+        assert.equal(comment.updatedAt.getTime(), comment.createdAt.getTime());
+      });
+
+      it('rejects a comment without content', async () => {
+        await assert.rejects(makeComment({ content: '' }), { name: 'ValidationError' });
+      });
+
+      it('rejects an unknown status', async () => {
+        await assert.rejects(makeComment({ status: 'hidden' }), { name: 'ValidationError' });
+      });
+    });
+
+    describe('findById and update', () => {
+      it('returns null for unknown and malformed ids', async () => {
+        assert.equal(await comments.findById(newId()), null);
+        assert.equal(await comments.findById('not-an-id'), null);
+      });
+
+      it('saves changes and marks the comment as edited', async () => {
+        const comment = await makeComment();
+        await wait();
+        const edited = await comments.update(comment._id, { content: 'Lovely piece, read it twice.' });
+        assert.equal(edited.content, 'Lovely piece, read it twice.');
+        assert.ok(edited.updatedAt > edited.createdAt);
+        assert.equal((await comments.findById(comment._id)).content, 'Lovely piece, read it twice.');
+        assert.equal(await comments.update(newId(), { content: 'Nothing' }), null);
+      });
+    });
+
+    describe('listForPost', () => {
+      it('shows approved comments, plus the viewer\'s own pending ones, oldest first', async () => {
+        await makeComment({ content: 'First' }, 30);
+        await makeComment({ content: 'Mine, in review', status: 'pending' }, 20);
+        await makeComment({ ...byOther, content: 'Theirs, in review', status: 'pending' }, 15);
+        await makeComment({ ...byOther, content: 'Spam', status: 'spam' }, 10);
+        await makeComment({ ...byOther, content: 'Second' }, 5);
+        await makeComment({ postId: newId(), content: 'Elsewhere' }, 1);
+
+        const publicView = await comments.listForPost(postId);
+        assert.deepEqual(publicView.map(comment => comment.content), ['First', 'Second']);
+
+        const readerView = await comments.listForPost(postId, { viewerId: readerId });
+        assert.deepEqual(readerView.map(comment => comment.content), ['First', 'Mine, in review', 'Second']);
+      });
+    });
+
+    describe('remove', () => {
+      it('deletes a comment without replies', async () => {
+        const comment = await makeComment();
+        assert.equal(await comments.remove(comment._id), true);
+        assert.equal(await comments.findById(comment._id), null);
+        assert.equal(await comments.remove(comment._id), false);
+      });
+
+      it('keeps a placeholder when the comment has live replies', async () => {
+        const parent = await makeComment({}, 10);
+        await makeComment({ ...byOther, parentId: parent._id, content: 'Agreed' }, 5);
+
+        await comments.remove(parent._id);
+        const placeholder = await comments.findById(parent._id);
+        assert.ok(placeholder.deletedAt instanceof Date);
+        assert.equal(placeholder.content, DELETED_COMMENT_TEXT);
+      });
+    });
+
+    describe('moderation', () => {
+      it('lists a queue with filters: review queues oldest first, approved newest first', async () => {
+        await makeComment({ content: 'Buy now', status: 'pending' }, 30);
+        await makeComment({ ...byOther, content: 'Click here', status: 'pending' }, 20);
+        await makeComment({ content: 'Fine' }, 10);
+        await makeComment({ content: 'Also fine' }, 5);
+
+        const pending = await comments.list({ status: 'pending', page: 1, limit: 50 });
+        assert.equal(pending.total, 2);
+        assert.deepEqual(pending.comments.map(comment => comment.content), ['Buy now', 'Click here']);
+
+        const approved = await comments.list({ status: 'approved', page: 1, limit: 50 });
+        assert.deepEqual(approved.comments.map(comment => comment.content), ['Also fine', 'Fine']);
+
+        const filtered = await comments.list({ status: 'pending', author: 'OTHER', page: 1, limit: 50 });
+        assert.deepEqual(filtered.comments.map(comment => comment.content), ['Click here']);
+
+        const searched = await comments.list({ status: 'approved', q: 'also', page: 1, limit: 50 });
+        assert.deepEqual(searched.comments.map(comment => comment.content), ['Also fine']);
+      });
+
+      it('counts comments by status, leaving out placeholders', async () => {
+        const parent = await makeComment();
+        await makeComment({ parentId: parent._id });
+        await makeComment({ status: 'pending' });
+        await makeComment({ status: 'spam' });
+        await comments.remove(parent._id);
+
+        assert.deepEqual(await comments.countByStatus(), { approved: 1, pending: 1, spam: 1 });
+        assert.equal(await comments.countApprovedByAuthor(readerId), 1);
+      });
+
+      it('moves an author\'s pending comments to spam', async () => {
+        const pending = await makeComment({ status: 'pending' });
+        const approved = await makeComment();
+        await makeComment({ ...byOther, status: 'pending' });
+
+        assert.equal(await comments.flagPendingByAuthor(readerId, { reason: 'Author banned', moderatedBy: 'admin' }), 1);
+        const flagged = await comments.findById(pending._id);
+        assert.equal(flagged.status, 'spam');
+        assert.equal(flagged.moderationReason, 'Author banned');
+        assert.equal(flagged.moderatedBy, 'admin');
+        assert.equal((await comments.findById(approved._id)).status, 'approved');
+      });
+    });
+
+    describe('bulk removal', () => {
+      it('removes an author\'s comments and renames the placeholders left behind', async () => {
+        const parent = await makeComment({}, 10);
+        await makeComment({ ...byOther, parentId: parent._id, content: 'Reply' }, 5);
+        const alone = await makeComment({}, 1);
+
+        assert.equal(await comments.removeByAuthor(readerId, { renameTo: 'deleted user' }), 2);
+        assert.equal(await comments.findById(alone._id), null);
+        const placeholder = await comments.findById(parent._id);
+        assert.equal(placeholder.content, DELETED_COMMENT_TEXT);
+        assert.equal(placeholder.author.username, 'deleted user');
+      });
+
+      it('drops every comment on deleted posts', async () => {
+        const elsewhere = await makeComment({ postId: newId() });
+        await makeComment();
+        await makeComment({ ...byOther });
+
+        await comments.deleteForPosts([postId]);
+        assert.deepEqual(await comments.listForPost(postId), []);
+        assert.ok(await comments.findById(elsewhere._id));
+      });
+    });
+  });
+}
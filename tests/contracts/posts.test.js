@@ -0,0 +1,396 @@
+// PostRepository contract: both implementations in repositories/posts.js must behave the same way
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMongoPostRepository, createMemoryPostRepository } from '../../repositories/posts.js';
+import { contractBackends, newId, wait } from './backends.js';
+
+const backends = contractBackends({
+  memory: () => createMemoryPostRepository(),
+  mongo: () => createMongoPostRepository()
+});
+
+for (const backend of backends) {
+  describe(`PostRepository (${backend.name})`, { skip: backend.skip }, () => {
+    let posts;
+    const authorId = newId();
+
+    // createdAt is spaced out a minute per `minutesAgo` so feed order is predictable
+    const makePost = (overrides = {}, minutesAgo = 0) => posts.create({
+      title: 'A quiet morning',
+      body: 'Coffee, a notebook and the first light through the window.',
+      author: authorId,
+      authorName: 'writer',
+      createdAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+      ...overrides
+    });
+
+    before(() => backend.connect());
+    after(() => backend.disconnect());
+    beforeEach(async () => {
+      await backend.clear();
+      posts = backend.create();
+    });
+
+    describe('create', () => {
+      it('fills in the same defaults as the Post model', async () => {
+        const post = await makePost();
+        assert.ok(post._id);
+        assert.equal(String(post.author), authorId);
+        assert.equal(post.category, 'Daily Reflections');
+        assert.equal(post.status, 'published');
+        assert.ok(post.publishedAt instanceof Date);
+        assert.deepEqual([...post.tags], []);
+        assert.equal(post.featuredImage, null);
+        assert.equal(post.excerpt, 'Coffee, a notebook and the first light through the window.');
+        assert.ok(post.readingTime >= 1);
+        assert.ok(post.updatedAt instanceof Date);
+      });
+
+      it('leaves publishedAt empty for drafts', async () => {
+        const post = await makePost({ status: 'draft' });
+        assert.equal(post.publishedAt, null);
+      });
+
+      it('rejects a post without a title', async () => {
+        await assert.rejects(makePost({ title: '' }), { name: 'ValidationError' });
+      });
+
+      it('rejects an unknown status', async () => {
+        await assert.rejects(makePost({ status: 'hidden' }), { name: 'ValidationError' });
+      });
+
+      it('rejects text that is too long or not text at all', async () => {
+        await assert.rejects(makePost({ title: 'x'.repeat(201) }), { name: 'ValidationError' });
+        await assert.rejects(makePost({ title: ['Two', 'titles'] }), { name: 'ValidationError' });
+        await assert.rejects(makePost({ category: 'c'.repeat(51) }), { name: 'ValidationError' });
+        await assert.rejects(makePost({ excerpt: { text: 'an object' } }), { name: 'ValidationError' });
+        await assert.rejects(makePost({ tags: ['t'.repeat(31)] }), { name: 'ValidationError' });
+      });
+
+      it('trims text before checking its length, as the model does', async () => {
+        const post = await makePost({ title: `  ${'x'.repeat(200)}  `, tags: [' calm '] });
+        assert.equal(post.title, 'x'.repeat(200));
+        assert.deepEqual([...post.tags], ['calm']);
+      });
+    });
+
+    describe('findById', () => {
+      it('returns the stored post', async () => {
+        const created = await makePost({ tags: ['morning'] });
+        const found = await posts.findById(String(created._id));
+        assert.equal(found.title, 'A quiet morning');
+        assert.deepEqual([...found.tags], ['morning']);
+      });
+
+      it('returns null for unknown and malformed ids', async () => {
+        assert.equal(await posts.findById(newId()), null);
+        assert.equal(await posts.findById('not-an-id'), null);
+      });
+
+      it('hands out copies that do not change the stored post', async () => {
+        const created = await makePost();
+        const copy = await posts.findById(created._id);
+        copy.title = 'Changed without saving';
+        assert.equal((await posts.findById(created._id)).title, 'A quiet morning');
+      });
+    });
+
+    describe('update', () => {
+      it('saves the changes and refreshes updatedAt', async () => {
+        const created = await makePost();
+        await wait();
+        const updated = await posts.update(created._id, { title: 'A loud morning', category: 'Mornings' });
+        assert.equal(updated.title, 'A loud morning');
+        assert.equal(updated.category, 'Mornings');
+        assert.ok(updated.updatedAt > created.updatedAt);
+        assert.equal((await posts.findById(created._id)).title, 'A loud morning');
+      });
+
+      it('stamps publishedAt when a draft is published', async () => {
+        const draft = await makePost({ status: 'draft' });
+        const published = await posts.update(draft._id, { status: 'published' });
+        assert.ok(published.publishedAt instanceof Date);
+      });
+
+      it('returns null for a missing post', async () => {
+        assert.equal(await posts.update(newId(), { title: 'Nothing' }), null);
+      });
+
+      it('rejects invalid changes', async () => {
+        const created = await makePost();
+        await assert.rejects(posts.update(created._id, { status: 'hidden' }), { name: 'ValidationError' });
+        await assert.rejects(posts.update(created._id, { title: 'x'.repeat(201) }), { name: 'ValidationError' });
+        await assert.rejects(posts.update(created._id, { title: ['Two', 'titles'] }), { name: 'ValidationError' });
+      });
+    });
+
+    describe('slugs', () => {
+      it('gives every post a unique slug from its title', async () => {
+        const first = await makePost();
+        const second = await makePost();
+        const third = await makePost({ title: 'Tom &amp; Jerry&#x27;s Caf\u00e9 \u2014 Part 2!' }); // as the forms store it
+        assert.equal(first.slug, 'a-quiet-morning');
+        assert.equal(second.slug, 'a-quiet-morning-2');
+        assert.equal(third.slug, 'tom-jerrys-cafe-part-2');
+        assert.equal((await makePost({ title: '!!!' })).slug, 'post');
+      });
+
+      it('finds posts by slug, and by a slug they had before a rename', async () => {
+        const created = await makePost();
+        const renamed = await posts.update(created._id, { title: 'A loud morning' });
+        assert.equal(renamed.slug, 'a-loud-morning');
+        assert.deepEqual([...renamed.previousSlugs], ['a-quiet-morning']);
+
+        assert.equal(String((await posts.findBySlug('a-loud-morning'))._id), String(created._id));
+        assert.equal(String((await posts.findBySlug('a-quiet-morning'))._id), String(created._id));
+        assert.equal(await posts.findBySlug('no-such-post'), null);
+      });
+
+      it('keeps the slug when other fields change, and ignores slugs passed in', async () => {
+        const created = await makePost({ slug: 'chosen-by-hand' });
+        assert.equal(created.slug, 'a-quiet-morning');
+        const updated = await posts.update(created._id, { body: 'A different body.', slug: 'elsewhere' });
+        assert.equal(updated.slug, 'a-quiet-morning');
+        assert.deepEqual([...updated.previousSlugs], []);
+      });
+
+      it('never hands out a slug another post used before, but lets a post take its own back', async () => {
+        const created = await makePost();
+        await posts.update(created._id, { title: 'A loud morning' });
+        assert.equal((await makePost()).slug, 'a-quiet-morning-2');
+
+        const restored = await posts.update(created._id, { title: 'A quiet morning' });
+        assert.equal(restored.slug, 'a-quiet-morning');
+        assert.deepEqual([...restored.previousSlugs], ['a-loud-morning']);
+      });
+    });
+
+    describe('listing', () => {
+      it('lists published posts newest first, filtered by category and paged', async () => {
+        await makePost({ title: 'Oldest', category: 'Walks' }, 30);
+        await makePost({ title: 'Middle', category: 'Walks' }, 20);
+        await makePost({ title: 'Newest', category: 'Reading' }, 10);
+        await makePost({ title: 'Unfinished', status: 'draft' }, 5);
+
+        const all = await posts.listPublished({ page: 1, limit: 2 });
+        assert.equal(all.total, 3);
+        assert.deepEqual(all.posts.map(post => post.title), ['Newest', 'Middle']);
+
+        const walks = await posts.listPublished({ category: 'Walks', page: 1, limit: 10 });
+        assert.deepEqual(walks.posts.map(post => post.title), ['Middle', 'Oldest']);
+      });
+
+      it('lists only the link fields of published posts, newest first', async () => {
+        await makePost({ title: 'Oldest' }, 30);
+        const newest = await makePost({ title: 'Newest' }, 10);
+        await makePost({ title: 'Unfinished', status: 'draft' }, 5);
+
+        const links = await posts.listPublishedLinks({ limit: 10 });
+        assert.deepEqual(links.map(link => link.slug), ['newest', 'oldest']);
+        assert.deepEqual(Object.keys(links[0]).sort(), ['_id', 'publishedAt', 'slug', 'updatedAt']);
+        assert.equal(String(links[0]._id), String(newest._id));
+        assert.ok(links[0].publishedAt && links[0].updatedAt);
+        assert.equal((await posts.listPublishedLinks({ limit: 1 })).length, 1);
+      });
+
+      it('lists an author\'s published posts', async () => {
+        const otherId = newId();
+        await makePost({ title: 'Mine' }, 10);
+        await makePost({ title: 'My draft', status: 'draft' }, 5);
+        await makePost({ title: 'Theirs', author: otherId, authorName: 'other' }, 1);
+
+        const mine = await posts.listPublishedByAuthor({ authorId, authorName: 'writer' });
+        assert.deepEqual(mine.map(post => post.title), ['Mine']);
+      });
+
+      it('lists an author\'s unpublished posts, last edited first', async () => {
+        const first = await makePost({ title: 'First draft', status: 'draft' }, 20);
+        await makePost({ title: 'Second draft', status: 'draft' }, 10);
+        await makePost({ title: 'Live' }, 5);
+        await wait();
+        await posts.update(first._id, { body: 'Reworked' });
+
+        const drafts = await posts.listDrafts(authorId);
+        assert.deepEqual(drafts.map(post => post.title), ['First draft', 'Second draft']);
+      });
+
+      it('lists posts in any status for the admin, with filters', async () => {
+        await makePost({ title: 'Garden notes' }, 20);
+        await makePost({ title: 'Garden plans', status: 'draft', authorName: 'gardener' }, 10);
+        await makePost({ title: 'Kitchen notes' }, 5);
+
+        const garden = await posts.list({ q: 'garden', page: 1, limit: 50 });
+        assert.equal(garden.total, 2);
+        assert.deepEqual(garden.posts.map(post => post.title), ['Garden plans', 'Garden notes']);
+
+        const drafts = await posts.list({ status: 'draft', page: 1, limit: 50 });
+        assert.deepEqual(drafts.posts.map(post => post.title), ['Garden plans']);
+
+        const byAuthor = await posts.list({ author: 'GARDEN', page: 1, limit: 50 });
+        assert.deepEqual(byAuthor.posts.map(post => post.title), ['Garden plans']);
+      });
+    });
+
+    describe('feedPage', () => {
+      it('pages by number and by cursor in feed order', async () => {
+        for (let i = 1; i <= 5; i++) {
+          await makePost({ title: `Post ${i}` }, 60 - i); // Post 5 is the newest
+        }
+        await makePost({ title: 'Draft', status: 'draft' }, 1);
+
+        const first = await posts.feedPage({ page: 1, size: 2 });
+        assert.equal(first.total, 5);
+        assert.equal(first.newerCount, 0);
+        assert.deepEqual(first.posts.map(post => post.title), ['Post 5', 'Post 4']);
+
+        const lastOnFirst = first.posts[1];
+        const next = await posts.feedPage({ after: { createdAt: new Date(lastOnFirst.createdAt), id: String(lastOnFirst._id) }, size: 2 });
+        assert.equal(next.newerCount, 2);
+        assert.deepEqual(next.posts.map(post => post.title), ['Post 3', 'Post 2']);
+
+        const firstOnNext = next.posts[0];
+        const back = await posts.feedPage({ before: { createdAt: new Date(firstOnNext.createdAt), id: String(firstOnNext._id) }, size: 2 });
+        assert.deepEqual(back.posts.map(post => post.title), ['Post 5', 'Post 4']);
+
+        const third = await posts.feedPage({ page: 3, size: 2 });
+        assert.equal(third.newerCount, 4);
+        assert.deepEqual(third.posts.map(post => post.title), ['Post 1']);
+      });
+    });
+
+    describe('search', () => {
+      it('ranks title matches first and skips unpublished posts', async () => {
+        await makePost({ title: 'Morning routine', body: 'Tea and stretching.' }, 10);
+        await makePost({ title: 'Evening walk', body: 'Thinking back on the morning.' }, 5);
+        await makePost({ title: 'Morning draft', body: 'Not yet.', status: 'draft' }, 1);
+
+        const { ranked, total } = await posts.search('morning', { page: 1, limit: 10 });
+        assert.equal(total, 2);
+        assert.deepEqual(ranked.map(({ post }) => post.title), ['Morning routine', 'Evening walk']);
+        assert.ok(ranked[0].score > ranked[1].score);
+      });
+    });
+
+    describe('counts', () => {
+      it('reports categories and counts', async () => {
+        await makePost({ category: 'Walks' });
+        await makePost({ category: 'Walks' });
+        await makePost({ category: 'Reading', status: 'draft' });
+        await makePost({ category: 'Music', status: 'archived' });
+
+        assert.deepEqual(await posts.categories(), ['Music', 'Reading', 'Walks']);
+        assert.deepEqual(await posts.categories({ publishedOnly: true }), ['Walks']);
+        assert.deepEqual(await posts.categoryCounts(), { Walks: 2 });
+        assert.deepEqual(await posts.countByStatus(), { published: 2, draft: 1, archived: 1 });
+      });
+    });
+
+    describe('revisions', () => {
+      const revision = (postId, number) => ({
+        postId: String(postId),
+        revision: number,
+        author: { userId: authorId, username: 'writer' },
+        changedFields: number === 1 ? [] : ['title'],
+        snapshot: { title: `Title ${number}`, body: 'Body', category: 'Daily Reflections', excerpt: '', tags: [], featuredImage: null }
+      });
+
+      it('lists revisions newest first', async () => {
+        const post = await makePost();
+        await posts.addRevision(revision(post._id, 1));
+        await posts.addRevision(revision(post._id, 2));
+
+        const history = await posts.listRevisions(post._id);
+        assert.deepEqual(history.map(entry => entry.revision), [2, 1]);
+        assert.equal(history[0].snapshot.title, 'Title 2');
+        assert.equal(history[0].restoredFrom, null);
+      });
+
+      it('rejects a revision number that is already taken', async () => {
+        const post = await makePost();
+        await posts.addRevision(revision(post._id, 1));
+        await assert.rejects(posts.addRevision(revision(post._id, 1)));
+      });
+    });
+
+    describe('removal and ownership', () => {
+      it('deletes a post together with its revisions', async () => {
+        const post = await makePost();
+        await posts.addRevision({
+          postId: String(post._id),
+          revision: 1,
+          author: { userId: authorId, username: 'writer' },
+          snapshot: { title: 'Before' }
+        });
+
+        const deleted = await posts.delete(post._id);
+        assert.equal(String(deleted._id), String(post._id));
+        assert.equal(await posts.findById(post._id), null);
+        assert.deepEqual(await posts.listRevisions(post._id), []);
+        assert.equal(await posts.delete(post._id), null);
+      });
+
+      it('deletes several posts at once, ignoring unknown ids', async () => {
+        const a = await makePost();
+        const b = await makePost();
+        const kept = await makePost({ title: 'Kept' });
+
+        assert.equal(await posts.deleteMany([String(a._id), String(b._id), newId(), 'not-an-id']), 2);
+        assert.deepEqual((await posts.list({ page: 1, limit: 50 })).posts.map(post => String(post._id)), [String(kept._id)]);
+      });
+
+      it('deletes or hands over an author\'s posts', async () => {
+        const otherId = newId();
+        const heirId = newId();
+        const mine = await makePost();
+        const theirs = await makePost({ author: otherId, authorName: 'other' });
+
+        assert.equal(await posts.reassignAuthor(authorId, { author: heirId, authorName: 'heir' }), 1);
+        const handedOver = await posts.findById(mine._id);
+        assert.equal(String(handedOver.author), heirId);
+        assert.equal(handedOver.authorName, 'heir');
+
+        assert.deepEqual((await posts.deleteByAuthor(otherId)).map(String), [String(theirs._id)]);
+        assert.equal((await posts.list({ page: 1, limit: 50 })).total, 1);
+      });
+    });
+
+    describe('publishDue', () => {
+      it('publishes scheduled posts whose time has come', async () => {
+        const due = await makePost({ status: 'scheduled', publishAt: new Date(Date.now() - 1000) });
+        const later = await makePost({ status: 'scheduled', publishAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+        assert.equal(await posts.publishDue(new Date()), 1);
+        const published = await posts.findById(due._id);
+        assert.equal(published.status, 'published');
+        assert.ok(published.publishedAt instanceof Date);
+        assert.equal((await posts.findById(later._id)).status, 'scheduled');
+      });
+    });
+  });
+}
+
+describe('PostRepository (in-memory) change hook', () => {
+  it('reports every change with the previous updatedAt for updates', async () => {
+    const writes = [];
+    const posts = createMemoryPostRepository({
+      onWrite: async (op, post, base) => { writes.push({ op, id: post._id, base }); }
+    });
+
+    const post = await posts.create({ title: 'Offline', body: 'Written offline.', author: 'offline-admin', authorName: 'admin' });
+    await posts.update(post._id, { title: 'Offline, edited' });
+    await posts.delete(post._id);
+
+    assert.deepEqual(writes.map(write => write.op), ['create', 'update', 'delete']);
+    assert.ok(writes.every(write => write.id === post._id));
+    assert.deepEqual(writes[1].base, post.updatedAt);
+  });
+
+  it('keeps only the posts it is told to retain', async () => {
+    const posts = createMemoryPostRepository();
+    const kept = await posts.create({ title: 'Kept', body: 'Body', author: 'a', authorName: 'a' });
+    await posts.create({ title: 'Dropped', body: 'Body', author: 'a', authorName: 'a' });
+
+    posts.retain([kept._id]);
+    assert.deepEqual(posts.snapshot().posts.map(post => post.title), ['Kept']);
+  });
+});
@@ -0,0 +1,95 @@
+// A tiny in-memory S3 stand-in for the S3 upload storage: path-style PutObject, HeadObject, GetObject, DeleteObject
+// and ListObjectsV2 on one bucket. Signatures are not checked. `maxKeys` makes listings page early, to exercise
+// continuation tokens.
+import http from 'http';
+import crypto from 'crypto';
+
+function xmlEscape(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function sendError(res, status, code) {
+  res.writeHead(status, { 'Content-Type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+}
+
+function listObjects(objects, bucket, url, maxKeys) {
+  const prefix = url.searchParams.get('prefix') || '';
+  const after = url.searchParams.get('continuation-token') || '';
+  const keys = [...objects.keys()].filter(key => key.startsWith(prefix) && key > after).sort();
+  const page = keys.slice(0, maxKeys);
+  const truncated = keys.length > page.length;
+  const contents = page.map(key => {
+    const object = objects.get(key);
+    return `<Contents><Key>${xmlEscape(key)}</Key><LastModified>${object.lastModified.toISOString()}</LastModified>` +
+      `<ETag>${xmlEscape(object.etag)}</ETag><Size>${object.body.length}</Size><StorageClass>STANDARD</StorageClass></Contents>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+    `<Name>${xmlEscape(bucket)}</Name><Prefix>${xmlEscape(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>` +
+    `<MaxKeys>${maxKeys}</MaxKeys><IsTruncated>${truncated}</IsTruncated>` +
+    (truncated ? `<NextContinuationToken>${xmlEscape(page[page.length - 1])}</NextContinuationToken>` : '') +
+    `${contents}</ListBucketResult>`;
+}
+
+// Resolves to { endpoint, bucket, objects, close() } once the server listens on a free local port
+export async function startS3StandIn({ bucket = 'uploads-test', maxKeys = 1000 } = {}) {
+  const objects = new Map(); // key -> { body, contentType, lastModified, etag }
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucketName, ...keyParts] = url.pathname.split('/');
+    if (bucketName !== bucket) return sendError(res, 404, 'NoSuchBucket');
+    const key = decodeURIComponent(keyParts.join('/'));
+
+    if (!key) {
+      if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(listObjects(objects, bucket, url, maxKeys));
+      }
+      return sendError(res, 400, 'InvalidRequest');
+    }
+
+    if (req.method === 'PUT') {
+      const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+      objects.set(key, { body, contentType: req.headers['content-type'], lastModified: new Date(), etag });
+      res.writeHead(200, { ETag: etag });
+      return res.end();
+    }
+    if (req.method === 'DELETE') {
+      objects.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const object = objects.get(key);
+    if (req.method === 'HEAD' || req.method === 'GET') {
+      if (!object) {
+        if (req.method === 'HEAD') {
+          res.writeHead(404);
+          return res.end();
+        }
+        return sendError(res, 404, 'NoSuchKey');
+      }
+      res.writeHead(200, {
+        'Content-Type': object.contentType || 'application/octet-stream',
+        'Content-Length': object.body.length,
+        'Last-Modified': object.lastModified.toUTCString(),
+        ETag: object.etag
+      });
+      return res.end(req.method === 'GET' ? object.body : undefined);
+    }
+    sendError(res, 405, 'MethodNotAllowed');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    bucket,
+    objects,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
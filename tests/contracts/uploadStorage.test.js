@@ -0,0 +1,140 @@
+// Upload storage contract: every backend in utils/uploadStorage.js must behave the same way.
+// Local disk and S3 (against tests/contracts/s3StandIn.js) always run; GridFS needs MONGODB_TEST_URI.
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { text } from 'stream/consumers';
+import mongoose from 'mongoose';
+import { createUploadStorage } from '../../utils/uploadStorage.js';
+import { startS3StandIn } from './s3StandIn.js';
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+
+const backends = [
+  {
+    name: 'local disk',
+    skip: false,
+    async connect() {
+      this.dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-storage-'));
+    },
+    async clear() {
+      await fs.rm(this.dir, { recursive: true, force: true });
+    },
+    create() {
+      return createUploadStorage({ UPLOAD_STORAGE: 'local', UPLOADS_DIR: this.dir });
+    },
+    async disconnect() {
+      await fs.rm(this.dir, { recursive: true, force: true });
+    }
+  },
+  {
+    name: 'S3',
+    skip: false,
+    async connect() {
+      this.standIn = await startS3StandIn({ maxKeys: 2 });
+    },
+    async clear() {
+      this.standIn.objects.clear();
+    },
+    create() {
+      return createUploadStorage({
+        UPLOAD_STORAGE: 's3',
+        S3_BUCKET: this.standIn.bucket,
+        S3_ENDPOINT: this.standIn.endpoint,
+        S3_ACCESS_KEY_ID: 'test',
+        S3_SECRET_ACCESS_KEY: 'test'
+      });
+    },
+    async disconnect() {
+      await this.standIn.close();
+    }
+  },
+  {
+    name: 'GridFS',
+    skip: MONGODB_TEST_URI ? false : 'set MONGODB_TEST_URI to run against MongoDB',
+    async connect() {
+      await mongoose.connect(MONGODB_TEST_URI, { serverSelectionTimeoutMS: 5000 });
+    },
+    async clear() {
+      await Promise.all(['uploads.files', 'uploads.chunks'].map(name => mongoose.connection.db.collection(name).deleteMany({})));
+    },
+    create() {
+      return createUploadStorage({ UPLOAD_STORAGE: 'gridfs' });
+    },
+    async disconnect() {
+      await mongoose.disconnect();
+    }
+  }
+];
+
+for (const backend of backends) {
+  describe(`UploadStorage (${backend.name})`, { skip: backend.skip }, () => {
+    let storage;
+
+    before(() => backend.connect());
+    after(() => backend.disconnect());
+    beforeEach(async () => {
+      await backend.clear();
+      storage = backend.create();
+    });
+
+    it('stores a file and describes it', async () => {
+      await storage.put('1700000000000-1-full.webp', Buffer.from('webp bytes'), { contentType: 'image/webp' });
+      const file = await storage.stat('1700000000000-1-full.webp');
+      assert.equal(file.name, '1700000000000-1-full.webp');
+      assert.equal(file.size, 10);
+      assert.equal(file.contentType, 'image/webp');
+      assert.ok(file.lastModified instanceof Date);
+      assert.equal(typeof file.etag, 'string');
+      assert.equal(await text(storage.read('1700000000000-1-full.webp')), 'webp bytes');
+    });
+
+    it('replaces a file stored under the same name', async () => {
+      await storage.put('photo.webp', Buffer.from('first'));
+      await storage.put('photo.webp', Buffer.from('second version'));
+      assert.equal((await storage.stat('photo.webp')).size, 14);
+      assert.equal(await text(storage.read('photo.webp')), 'second version');
+      assert.deepEqual((await storage.list()).map(file => file.name), ['photo.webp']);
+    });
+
+    it('returns null for missing files and names with a path in them', async () => {
+      assert.equal(await storage.stat('missing.webp'), null);
+      assert.equal(await storage.stat('../package.json'), null);
+      assert.equal(await storage.stat('nested/photo.webp'), null);
+    });
+
+    it('refuses to store names with a path in them', async () => {
+      await assert.rejects(storage.put('../escape.webp', Buffer.from('x')), /Invalid upload name/);
+      await assert.rejects(storage.put('nested/photo.webp', Buffer.from('x')), /Invalid upload name/);
+    });
+
+    it('deletes files, and missing files without complaint', async () => {
+      await storage.put('gone.webp', Buffer.from('x'));
+      await storage.delete('gone.webp');
+      await storage.delete('never-there.webp');
+      assert.equal(await storage.stat('gone.webp'), null);
+    });
+
+    it('lists every stored file with its size', async () => {
+      for (const name of ['a.webp', 'b.webp', 'c.webp']) {
+        await storage.put(name, Buffer.from(name));
+      }
+      const files = (await storage.list()).sort((x, y) => x.name.localeCompare(y.name));
+      assert.deepEqual(files.map(file => [file.name, file.size]), [['a.webp', 6], ['b.webp', 6], ['c.webp', 6]]);
+      assert.ok(files.every(file => file.lastModified instanceof Date));
+    });
+  });
+}
+
+describe('createUploadStorage', () => {
+  it('defaults to the local disk', () => {
+    assert.equal(createUploadStorage({}).backendName, 'local');
+  });
+
+  it('rejects unknown backends and S3 without a bucket', () => {
+    assert.throws(() => createUploadStorage({ UPLOAD_STORAGE: 'ftp' }), /Unknown UPLOAD_STORAGE "ftp"/);
+    assert.throws(() => createUploadStorage({ UPLOAD_STORAGE: 's3' }), /requires S3_BUCKET/);
+  });
+});
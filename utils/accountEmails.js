@@ -0,0 +1,52 @@
+// Account emails: verification, password reset and unlock links
+// Links carry signed, expiring tokens (utils/tokens.js) and go out through the configured mail transport
+import { createMailer } from "./mailer.js";
+import { createSignedToken } from "./tokens.js";
+
+export function createAccountEmails(mailer = createMailer()) {
+  console.log(`📧 Mail transport: ${mailer.transportName}`);
+
+  function appUrl(req) {
+    return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+  }
+
+  // Mail failures are logged, never shown to the visitor: signup and reset requests still succeed
+  async function sendAccountEmail(message) {
+    try {
+      await mailer.send(message);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to send "${message.subject}" to ${message.to}:`, error);
+      return false;
+    }
+  }
+
+  async function sendVerificationEmail(req, user) {
+    const link = `${appUrl(req)}/verify-email/${createSignedToken('verify-email', user)}`;
+    return sendAccountEmail({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text: `Hi ${user.username},\n\nPlease confirm your email address for Purpose & Perspective by opening this link within 24 hours:\n\n${link}\n\nIf you did not sign up, you can ignore this email.`
+    });
+  }
+
+  async function sendPasswordResetEmail(req, user) {
+    const link = `${appUrl(req)}/reset-password/${createSignedToken('reset-password', user)}`;
+    return sendAccountEmail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.username},\n\nSomeone asked to reset the password for your Purpose & Perspective account. Open this link within an hour to choose a new one:\n\n${link}\n\nIf it was not you, ignore this email; your password stays the same.`
+    });
+  }
+
+  async function sendUnlockEmail(req, user) {
+    const link = `${appUrl(req)}/unlock-account/${createSignedToken('unlock-account', user)}`;
+    return sendAccountEmail({
+      to: user.email,
+      subject: 'Your account was locked',
+      text: `Hi ${user.username},\n\nYour Purpose & Perspective account was locked after ${user.failedLoginAttempts} failed sign-in attempts. It unlocks by itself at ${user.lockedUntil.toUTCString()}, or you can unlock it now with this link:\n\n${link}\n\nIf these attempts were not you, consider resetting your password at ${appUrl(req)}/forgot-password.`
+    });
+  }
+
+  return { appUrl, sendAccountEmail, sendVerificationEmail, sendPasswordResetEmail, sendUnlockEmail };
+}
@@ -0,0 +1,24 @@
+// Audit trail helpers shared by the web app and the CLI scripts
+import AuditLog from '../models/AuditLog.js';
+
+function describeUser(user) {
+  if (!user) return { userId: null, username: null };
+  return { userId: String(user._id || user.id), username: user.username };
+}
+
+// Audit writes never block the action being audited; failures are logged instead
+export async function recordAudit({ action, actor, target, details = {}, source = 'web', ip = null }) {
+  try {
+    return await AuditLog.create({
+      action,
+      actor: describeUser(actor),
+      target: describeUser(target),
+      details,
+      source,
+      ip
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record audit entry ${action}:`, error);
+    return null;
+  }
+}
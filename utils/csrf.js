@@ -0,0 +1,54 @@
+// Synchronizer-token CSRF protection: one random token per session, sent back with every state-changing request
+import crypto from 'crypto';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function newToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+export function getCsrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = newToken();
+  }
+  return req.session.csrfToken;
+}
+
+// Issue a fresh token when the session changes hands (login, signup)
+export function rotateCsrfToken(req) {
+  req.session.csrfToken = newToken();
+  return req.session.csrfToken;
+}
+
+function tokensMatch(expected, candidate) {
+  if (typeof expected !== 'string' || typeof candidate !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(candidate);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Multipart bodies are only parsed later by multer, so those forms carry the token in the query string
+function submittedToken(req) {
+  if (req.body && typeof req.body._csrf === 'string') return req.body._csrf;
+  const header = req.get('x-csrf-token');
+  if (header) return header;
+  if (req.is('multipart/form-data')) return req.query._csrf;
+  return undefined;
+}
+
+// Exposes csrfToken to views and rejects unsafe requests without a matching token through onFailure
+export function csrfProtection(onFailure) {
+  return (req, res, next) => {
+    // Lazy so JSON and static requests do not create a session just to hold a token
+    Object.defineProperty(res.locals, 'csrfToken', {
+      get: () => getCsrfToken(req),
+      enumerable: true,
+      configurable: true
+    });
+
+    if (SAFE_METHODS.includes(req.method) || tokensMatch(req.session.csrfToken, submittedToken(req))) {
+      return next();
+    }
+    onFailure(req, res);
+  };
+}
@@ -0,0 +1,119 @@
+// MongoDB connection with graceful fallback and auto-reconnection.
+// Mongoose models share one connection per process, so its state lives here rather than in each app:
+// createApp() starts it, and routes read isMongoConnected to choose between MongoDB and the fallback storage.
+import mongoose from "mongoose";
+import { runMigrations } from "./migrations.js";
+
+export let isMongoConnected = false;
+
+let mongoURI = null;
+let firstAttempt = null;
+let healthCheck = null;
+let reconnectAttempts = 0;
+let isShuttingDown = false;
+const maxReconnectAttempts = 5;
+const reconnectInterval = 30000; // 30 seconds
+const connectedListeners = new Set();
+
+// Run a listener after every successful (re)connection, e.g. to replay offline writes; returns an unsubscribe function
+export function onMongoConnected(listener) {
+  connectedListeners.add(listener);
+  return () => connectedListeners.delete(listener);
+}
+
+// MongoDB connection function with retry logic
+async function attemptConnection() {
+  try {
+    if (!mongoURI) {
+      console.log("❌ MONGODB_URI environment variable is not set");
+      throw new Error("MONGODB_URI environment variable is not set");
+    }
+
+    console.log("🔄 Attempting to connect to MongoDB...");
+    console.log("🔍 Environment:", process.env.NODE_ENV || 'development');
+    // Don't log the full URI for security, just check if it's there
+    console.log("🔍 MongoDB URI exists:", mongoURI ? 'Yes' : 'No');
+    console.log("🔍 MongoDB URI starts with mongodb+srv:", mongoURI?.startsWith('mongodb+srv://') ? 'Yes' : 'No');
+
+    await mongoose.connect(mongoURI, {
+      serverSelectionTimeoutMS: 30000, // 30 second timeout for Vercel cold starts
+      socketTimeoutMS: 45000, // 45 second socket timeout
+      bufferCommands: false, // Disable mongoose buffering
+      maxPoolSize: 10, // Connection pool size
+      minPoolSize: 1
+    });
+    console.log("✅ Connected to MongoDB Atlas");
+    isMongoConnected = true;
+    reconnectAttempts = 0; // Reset counter on successful connection
+    for (const listener of connectedListeners) {
+      await listener();
+    }
+  } catch (err) {
+    console.error("❌ MongoDB connection failed:", err.message);
+    isMongoConnected = false;
+
+    if (!isShuttingDown && reconnectAttempts < maxReconnectAttempts) {
+      reconnectAttempts++;
+      console.log(`🔄 Reconnection attempt ${reconnectAttempts}/${maxReconnectAttempts} in ${reconnectInterval/1000} seconds...`);
+      setTimeout(attemptConnection, reconnectInterval).unref();
+    } else if (!isShuttingDown) {
+      console.log("🚫 Max reconnection attempts reached. Running with in-memory storage.");
+      console.log("Note: Data will not persist between server restarts");
+      console.log("To fix MongoDB connection, please check:");
+      console.log("1. Your IP address is whitelisted in MongoDB Atlas");
+      console.log("2. Your network allows connections to MongoDB Atlas");
+      console.log("3. Your username and password are correct");
+    }
+  }
+}
+
+// Start connecting; later calls share the first one. Resolves once the first attempt has settled, i.e. once
+// the app knows whether it runs on MongoDB or in fallback mode. Timers are unref'd so they never hold the process open.
+export function connectToMongoDB(uri) {
+  if (!firstAttempt) {
+    mongoURI = uri || null;
+    isShuttingDown = false;
+
+    // Periodic health check to attempt reconnection every 5 minutes
+    healthCheck = setInterval(async () => {
+      if (!isShuttingDown && !isMongoConnected && mongoose.connection.readyState === 0) {
+        console.log("🔍 Performing periodic MongoDB connection health check...");
+        reconnectAttempts = 0; // Reset attempts for periodic checks
+        await attemptConnection();
+      }
+    }, 300000).unref(); // 5 minutes = 300,000 milliseconds
+
+    firstAttempt = attemptConnection();
+  }
+  return firstAttempt;
+}
+
+// Stop reconnecting and close the connection, so tests and graceful restarts can exit
+export async function disconnectFromMongoDB() {
+  isShuttingDown = true;
+  clearInterval(healthCheck);
+  await mongoose.disconnect();
+  firstAttempt = null;
+}
+
+// Run migrations after MongoDB connection
+mongoose.connection.on('connected', () => {
+  setTimeout(async () => { // Wait a second for connection to stabilize
+    if (isMongoConnected) await runMigrations();
+  }, 1000).unref();
+});
+
+mongoose.connection.on("disconnected", () => {
+  console.log("⚠️ MongoDB disconnected. Switching to fallback storage...");
+  isMongoConnected = false;
+
+  // Attempt to reconnect if we haven't exceeded max attempts
+  if (!isShuttingDown && reconnectAttempts < maxReconnectAttempts) {
+    setTimeout(attemptConnection, reconnectInterval).unref();
+  }
+});
+
+mongoose.connection.on("error", (err) => {
+  console.error("❌ MongoDB connection error:", err.message);
+  isMongoConnected = false;
+});
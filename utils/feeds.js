@@ -0,0 +1,181 @@
+// Syndication: the same list of published posts rendered as RSS 2.0, Atom or JSON Feed 1.1.
+// A feed is { title, description, homeUrl, feedUrl, siteUrl, posts }; every URL in the output is absolute,
+// including the /media images inside post bodies, because feed readers have no page to resolve them against.
+import crypto from "crypto";
+import { renderMarkdown } from "./markdown.js";
+import { unescapeInput } from "./sanitize.js";
+import { absoluteUrl, xmlEscape } from "./seo.js";
+import { postPath } from "./slugs.js";
+
+export const SITE_TITLE = "Purpose & Perspective";
+export const FEED_SIZE = 20;
+
+// Public base URL: APP_URL when set (links in emails use the same), otherwise the host the request came to
+export function siteUrl(req) {
+  return (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Items link to the canonical slug URL, like the sitemap and the canonical tags. Their ids stay on the post id,
+// which survives renames, so readers do not show a retitled post as new
+function postUrl(base, post) {
+  return base + postPath(post);
+}
+
+function postId(base, post) {
+  return `${base}/posts/${post._id}`;
+}
+
+function authorUrl(base, post) {
+  return `${base}/users/${encodeURIComponent(post.authorName)}`;
+}
+
+// The category first, then the post's own tags
+function postTags(post) {
+  return [post.category, ...(post.tags || [])].filter(Boolean).map(unescapeInput);
+}
+
+function publishedDate(post) {
+  return new Date(post.publishedAt || post.createdAt);
+}
+
+function updatedDate(post) {
+  return new Date(post.updatedAt || post.publishedAt || post.createdAt);
+}
+
+// Site-relative src and href attributes in the rendered body become absolute
+function contentHtml(base, post) {
+  return renderMarkdown(post.body).replace(/\b(src|href)="\/(?!\/)/g, `$1="${base}/`);
+}
+
+function imageType(url) {
+  const extension = (url.match(/\.(\w+)(?:[?#].*)?$/) || [])[1] || '';
+  return { webp: 'image/webp', png: 'image/png', gif: 'image/gif', jpg: 'image/jpeg', jpeg: 'image/jpeg' }[extension.toLowerCase()] || 'image/*';
+}
+
+// The newest updatedAt among the posts, or null for an empty feed
+export function feedLastModified(posts) {
+  const times = posts.map(post => updatedDate(post).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+// Changes whenever a post enters or leaves the feed or is edited, so readers can revalidate cheaply
+export function feedEtag(format, feed) {
+  const hash = crypto.createHash('sha1').update(`${format}\n${feed.feedUrl}\n`);
+  for (const post of feed.posts) {
+    hash.update(`${post._id}:${updatedDate(post).getTime()}\n`);
+  }
+  return `W/"${hash.digest('base64url')}"`;
+}
+
+export function renderRss(feed) {
+  const base = feed.siteUrl;
+  const lastModified = feedLastModified(feed.posts) || new Date();
+  const items = feed.posts.map(post => {
+    const url = postUrl(base, post);
+    const categories = postTags(post).map(tag => `      <category>${xmlEscape(tag)}</category>`);
+    const image = post.featuredImage
+      ? [`      <media:content url="${xmlEscape(absoluteUrl(base, post.featuredImage))}" medium="image" type="${imageType(post.featuredImage)}"/>`]
+      : [];
+    return [
+      '    <item>',
+      `      <title>${xmlEscape(unescapeInput(post.title))}</title>`,
+      `      <link>${xmlEscape(url)}</link>`,
+      `      <guid isPermaLink="false">${xmlEscape(postId(base, post))}</guid>`,
+      `      <pubDate>${publishedDate(post).toUTCString()}</pubDate>`,
+      `      <dc:creator>${xmlEscape(post.authorName)}</dc:creator>`,
+      ...categories,
+      `      <description>${xmlEscape(unescapeInput(post.excerpt))}</description>`,
+      `      <content:encoded>${xmlEscape(contentHtml(base, post))}</content:encoded>`,
+      ...image,
+      '    </item>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/"' +
+      ' xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+    '  <channel>',
+    `    <title>${xmlEscape(feed.title)}</title>`,
+    `    <link>${xmlEscape(feed.homeUrl)}</link>`,
+    `    <description>${xmlEscape(feed.description)}</description>`,
+    '    <language>en</language>',
+    `    <lastBuildDate>${lastModified.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${xmlEscape(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+export function renderAtom(feed) {
+  const base = feed.siteUrl;
+  const lastModified = feedLastModified(feed.posts) || new Date();
+  const entries = feed.posts.map(post => {
+    const url = postUrl(base, post);
+    const categories = postTags(post).map(tag => `    <category term="${xmlEscape(tag)}"/>`);
+    const image = post.featuredImage
+      ? [`    <link rel="enclosure" type="${imageType(post.featuredImage)}" href="${xmlEscape(absoluteUrl(base, post.featuredImage))}"/>`]
+      : [];
+    return [
+      '  <entry>',
+      `    <title>${xmlEscape(unescapeInput(post.title))}</title>`,
+      `    <link rel="alternate" type="text/html" href="${xmlEscape(url)}"/>`,
+      `    <id>${xmlEscape(postId(base, post))}</id>`,
+      `    <published>${publishedDate(post).toISOString()}</published>`,
+      `    <updated>${updatedDate(post).toISOString()}</updated>`,
+      `    <author><name>${xmlEscape(post.authorName)}</name><uri>${xmlEscape(authorUrl(base, post))}</uri></author>`,
+      ...categories,
+      `    <summary>${xmlEscape(unescapeInput(post.excerpt))}</summary>`,
+      `    <content type="html">${xmlEscape(contentHtml(base, post))}</content>`,
+      ...image,
+      '  </entry>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">',
+    `  <title>${xmlEscape(feed.title)}</title>`,
+    `  <subtitle>${xmlEscape(feed.description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${xmlEscape(feed.homeUrl)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${xmlEscape(feed.feedUrl)}"/>`,
+    `  <id>${xmlEscape(feed.feedUrl)}</id>`,
+    `  <updated>${lastModified.toISOString()}</updated>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+export function renderJsonFeed(feed) {
+  const base = feed.siteUrl;
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    language: 'en',
+    items: feed.posts.map(post => ({
+      id: postId(base, post),
+      url: postUrl(base, post),
+      title: unescapeInput(post.title),
+      summary: unescapeInput(post.excerpt) || undefined,
+      content_html: contentHtml(base, post),
+      image: post.featuredImage ? absoluteUrl(base, post.featuredImage) : undefined,
+      date_published: publishedDate(post).toISOString(),
+      date_modified: updatedDate(post).toISOString(),
+      authors: [{ name: post.authorName, url: authorUrl(base, post) }],
+      tags: postTags(post)
+    }))
+  }, null, 2);
+}
+
+// File name under each feed path -> how it is rendered and served
+export const FEED_FORMATS = {
+  'feed.xml': { name: 'rss', contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+  'atom.xml': { name: 'atom', contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+  'feed.json': { name: 'json', contentType: 'application/feed+json; charset=utf-8', render: renderJsonFeed }
+};
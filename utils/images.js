@@ -0,0 +1,98 @@
+// Image pipeline for uploads: the file's own bytes decide whether it is an image, and what gets stored is
+// a set of resized WebP variants without the original's metadata (EXIF, GPS position, camera details)
+import sharp from "sharp";
+
+// Variant name -> width in pixels; images are never enlarged, so small originals keep their size
+export const IMAGE_VARIANTS = {
+  thumb: 320,
+  card: 800,
+  full: 1600
+};
+
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000; // refuse decompression bombs before decoding them
+const WEBP_QUALITY = 80;
+
+// Leading bytes of the formats we accept
+const SIGNATURES = [
+  { type: 'image/jpeg', matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { type: 'image/png', matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', matches: (bytes) => ['GIF87a', 'GIF89a'].includes(bytes.toString('latin1', 0, 6)) },
+  { type: 'image/webp', matches: (bytes) => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+// The MIME type the file's content says it is, or null when it is none of the accepted image formats
+export function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const signature = SIGNATURES.find(candidate => candidate.matches(buffer));
+  return signature ? signature.type : null;
+}
+
+// Errors carry a 400 status so Express answers the upload as a bad request
+function invalidImage(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Encode every variant of an uploaded image and store them in `uploadStorage` (utils/uploadStorage.js); resolves to
+// { type, url, variants, files, size, width, height } where url is the full-size variant, variants maps each variant
+// name to its URL under `urlPrefix`, files lists the stored file names, size is their total in bytes and
+// width/height are those of the full-size variant
+export async function saveImageVariants(buffer, uploadStorage, { urlPrefix = '/media' } = {}) {
+  const type = detectImageType(buffer);
+  if (!type) {
+    throw invalidImage('Only JPEG, PNG, WebP, and GIF images are allowed!');
+  }
+
+  const encoded = [];
+  try {
+    for (const [name, width] of Object.entries(IMAGE_VARIANTS)) {
+      // rotate() applies the EXIF orientation; sharp drops all metadata from the output unless asked to keep it
+      encoded.push({ name, ...await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .webp({ quality: WEBP_QUALITY })
+        .toBuffer({ resolveWithObject: true }) });
+    }
+  } catch (error) {
+    console.error("❌ Could not process uploaded image:", error.message);
+    throw invalidImage('The image could not be read. Try saving it again or choose another file.');
+  }
+
+  const baseName = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const written = [];
+  const variants = {};
+  try {
+    for (const { name, data } of encoded) {
+      const fileName = `${baseName}-${name}.webp`;
+      await uploadStorage.put(fileName, data, { contentType: 'image/webp' });
+      written.push(fileName);
+      variants[name] = `${urlPrefix}/${fileName}`;
+    }
+  } catch (error) {
+    await Promise.all(written.map(fileName => uploadStorage.delete(fileName).catch(() => {})));
+    throw error;
+  }
+
+  // `full` is the last variant encoded
+  const { info } = encoded[encoded.length - 1];
+  const size = encoded.reduce((total, variant) => total + variant.info.size, 0);
+  return { type, url: variants.full, variants, files: written, size, width: info.width, height: info.height };
+}
+
+const VARIANT_URL = /^(\/(?:media|uploads)\/[\w-]+)-full\.webp$/;
+const UPLOAD_URL = /^\/(?:media|uploads)\/[\w-][\w.-]*$/;
+
+// Whether a URL points at a file stored on this site (/media/... or, from before that, /uploads/...)
+export function isUploadUrl(url) {
+  return typeof url === 'string' && UPLOAD_URL.test(url) && !url.includes('..');
+}
+
+// srcset for an image stored by saveImageVariants, or null for anything else (older uploads, remote URLs)
+export function imageSrcset(url) {
+  const match = VARIANT_URL.exec(url || '');
+  if (!match) return null;
+  return Object.entries(IMAGE_VARIANTS)
+    .map(([name, width]) => `${match[1]}-${name}.webp ${width}w`)
+    .join(', ');
+}
@@ -0,0 +1,63 @@
+// Outgoing mail with pluggable transports, chosen by MAIL_TRANSPORT:
+//   console - print messages to the server log (default)
+//   file    - write each message as JSON into MAIL_OUTBOX_DIR, handy for tests and local development
+//   smtp    - deliver through SMTP_URL with nodemailer
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const transports = {
+  console: () => ({
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  }),
+
+  file: ({ outboxDir }) => ({
+    async send(message) {
+      await fs.mkdir(outboxDir, { recursive: true });
+      const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.writeFile(path.join(outboxDir, name), JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      console.log(`📧 Mail to ${message.to} written to ${path.join(outboxDir, name)}`);
+    }
+  }),
+
+  smtp: ({ smtpUrl }) => {
+    if (!smtpUrl) {
+      throw new Error('MAIL_TRANSPORT=smtp requires SMTP_URL');
+    }
+    let transporter;
+    return {
+      async send(message) {
+        if (!transporter) {
+          const { default: nodemailer } = await import('nodemailer');
+          transporter = nodemailer.createTransport(smtpUrl);
+        }
+        await transporter.sendMail(message);
+      }
+    };
+  }
+};
+
+// Other transports (a mail API, a test spy) can be plugged in without touching the callers
+export function registerTransport(name, factory) {
+  transports[name] = factory;
+}
+
+export function createMailer(env = process.env) {
+  const name = env.MAIL_TRANSPORT || 'console';
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  const transport = factory({
+    outboxDir: env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'mail'),
+    smtpUrl: env.SMTP_URL
+  });
+  const from = env.MAIL_FROM || 'Purpose & Perspective <no-reply@localhost>';
+
+  return {
+    transportName: name,
+    send: (message) => transport.send({ from, ...message })
+  };
+}
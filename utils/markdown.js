@@ -0,0 +1,98 @@
+// Markdown rendering for post bodies
+// Bodies are stored as Markdown source and only ever shown as HTML after passing through sanitize().
+import { Marked } from "marked";
+import { markedHighlight } from "marked-highlight";
+import hljs from "highlight.js";
+import xss from "xss";
+
+// Images are only loaded from this site (CSP img-src 'self'): a path like /media/... is shown, anything else
+// becomes a plain link, so readers' browsers never contact a third-party image host on their own
+function isSiteImage(src) {
+  return /^\/(?!\/)/.test(String(src || '').trim());
+}
+
+const marked = new Marked(
+  markedHighlight({
+    emptyLangClass: 'hljs',
+    langPrefix: 'hljs language-',
+    highlight(code, lang) {
+      const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+      return hljs.highlight(code, { language }).value;
+    }
+  }),
+  {
+    gfm: true,
+    breaks: true, // keep single line breaks from older plain-text posts
+    renderer: {
+      image({ href, text }) {
+        if (isSiteImage(href)) return false; // the default <img>
+        return `<a href="${xss.escapeAttrValue(href)}">🖼️ ${xss.escapeHtml(text || href)}</a>`;
+      }
+    }
+  }
+);
+
+// Tags and attributes allowed in rendered posts (superset of the sanitizeInput whitelist)
+const MARKDOWN_WHITELIST = {
+  p: [], br: [], hr: [],
+  strong: [], b: [], em: [], i: [], u: [], del: [], s: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  blockquote: [],
+  ol: ['start'], ul: [], li: [],
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title'],
+  pre: [], code: ['class'], span: ['class'],
+  table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align']
+};
+
+// Only syntax-highlighting classes survive, so authors cannot borrow the site's own CSS classes
+const ALLOWED_CLASS = /^(hljs(-[\w-]+)?|language-[\w+#-]+)$/;
+
+const markdownFilter = new xss.FilterXSS({
+  whiteList: MARKDOWN_WHITELIST,
+  stripIgnoreTag: true,
+  stripIgnoreTagBody: ['script', 'style'],
+  onTagAttr(tag, name, value) {
+    if (name === 'class') {
+      const classes = value.split(/\s+/).filter(cls => ALLOWED_CLASS.test(cls));
+      return classes.length > 0 ? `class="${xss.escapeAttrValue(classes.join(' '))}"` : '';
+    }
+    if (tag === 'img' && name === 'src' && !isSiteImage(value)) {
+      return ''; // raw HTML images from elsewhere lose their source
+    }
+    if (tag === 'a' && name === 'href') {
+      const href = xss.safeAttrValue(tag, name, value, xss.cssFilter);
+      return href ? `href="${href}" rel="nofollow noopener noreferrer"` : '';
+    }
+    return undefined; // fall back to the default whitelist handling
+  }
+});
+
+export function renderMarkdown(source) {
+  if (!source) return '';
+  return markdownFilter.process(marked.parse(String(source)));
+}
+
+// Plain-text version of a Markdown body for excerpts, previews and reading time
+export function markdownToPlainText(source) {
+  return renderMarkdown(source)
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Average 200 words per minute, same rule as the Post model
+export function estimateReadingTime(source) {
+  const wordCount = markdownToPlainText(source).split(' ').filter(word => word).length;
+  return Math.max(1, Math.ceil(wordCount / 200));
+}
+
+export function buildExcerpt(source, length = 150) {
+  const text = markdownToPlainText(source);
+  return text.length > length ? text.substring(0, length) + '...' : text;
+}
@@ -0,0 +1,241 @@
+// Media tracking for uploads: a Media record per image uploaded while MongoDB is connected, references kept
+// current as posts and avatars change, and the sweep that deletes uploads nothing uses any more.
+// Tracking failures are logged and never block the post or account change that triggered them.
+import mongoose from "mongoose";
+import Media from "../models/Media.js";
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import { recordAudit } from "./audit.js";
+import { isMongoConnected } from "./database.js";
+
+// Uploads are referenced by URL from featured images, avatars and Markdown bodies: /media/... since uploads moved
+// to pluggable storage, /uploads/... for files stored in public/uploads before that
+const UPLOAD_REFERENCE = /\/(?:media|uploads)\/([\w.-]+)/g;
+const UPLOAD_URL_PREFIX = /^\/(?:media|uploads)\//;
+const UPLOAD_URL = /\/(?:media|uploads)\//;
+// Names the upload pipeline (and multer before it) generates; nothing else in the storage is ever swept
+const UPLOAD_FILE_NAME = /^\d+-\d+(-[a-z]+)?\.[a-z]+$/i;
+
+const DEFAULT_GRACE_HOURS = 24;
+
+export function mediaSweepGraceMs() {
+  const hours = parseFloat(process.env.MEDIA_SWEEP_GRACE_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_GRACE_HOURS) * 60 * 60 * 1000;
+}
+
+// Names of the uploaded files the given values (URLs, Markdown) point at
+export function uploadedFilesIn(...values) {
+  const names = new Set();
+  for (const value of values) {
+    for (const match of String(value || '').matchAll(UPLOAD_REFERENCE)) {
+      names.add(match[1]);
+    }
+  }
+  return [...names];
+}
+
+function validIds(ids) {
+  return ids.map(String).filter(id => mongoose.isValidObjectId(id));
+}
+
+// Start the grace period for media that just lost their last reference
+async function markUnreferenced() {
+  await Media.updateMany(
+    { posts: { $size: 0 }, avatarOf: null, unreferencedAt: null },
+    { $set: { unreferencedAt: new Date() } }
+  );
+}
+
+// Record an image stored by saveUploadedImage(); offline uploads and the fallback admin have no record
+export async function recordUpload(image, user, originalName = '') {
+  if (!isMongoConnected || !user || !mongoose.isValidObjectId(user.id)) return null;
+  try {
+    return await Media.create({
+      owner: user.id,
+      ownerName: user.username,
+      url: image.url,
+      variants: image.variants,
+      files: image.files,
+      originalName: String(originalName).slice(0, 255),
+      type: image.type,
+      size: image.size,
+      width: image.width,
+      height: image.height
+    });
+  } catch (error) {
+    console.error(`❌ Could not record upload ${image.url}:`, error);
+    return null;
+  }
+}
+
+// A user's uploads, newest first; empty offline and for the fallback admin
+export async function listLibrary(user, { limit = 0 } = {}) {
+  if (!isMongoConnected || !user || !mongoose.isValidObjectId(user.id)) return [];
+  return Media.find({ owner: user.id }).sort({ createdAt: -1 }).limit(limit);
+}
+
+// An upload the user may reuse or delete (their own, or any for admins), or null
+export async function findLibraryMedia(user, mediaId) {
+  if (!isMongoConnected || !user || !mongoose.isValidObjectId(mediaId)) return null;
+  const media = await Media.findById(mediaId);
+  if (!media) return null;
+  return user.role === 'admin' || String(media.owner) === String(user.id) ? media : null;
+}
+
+// Point the media a post uses (featured image and images in its body) at the post, and only those
+export async function syncPostMedia(post) {
+  try {
+    await releasePostMedia([post._id]);
+    const files = uploadedFilesIn(post.featuredImage, post.body);
+    if (files.length > 0) {
+      await Media.updateMany(
+        { files: { $in: files } },
+        { $addToSet: { posts: post._id }, $set: { unreferencedAt: null } }
+      );
+    }
+  } catch (error) {
+    console.error(`❌ Could not update media references of post ${post._id}:`, error);
+  }
+}
+
+// Forget deleted posts
+export async function releasePostMedia(postIds) {
+  const ids = validIds(postIds);
+  if (ids.length === 0) return;
+  try {
+    await Media.updateMany({ posts: { $in: ids } }, { $pull: { posts: { $in: ids } } });
+    await markUnreferenced();
+  } catch (error) {
+    console.error("❌ Could not release media of deleted posts:", error);
+  }
+}
+
+// Move the avatar reference of a user to the media behind avatarUrl (none when it is null)
+export async function syncAvatarMedia(userId, avatarUrl) {
+  try {
+    await Media.updateMany({ avatarOf: userId }, { $set: { avatarOf: null } });
+    const files = uploadedFilesIn(avatarUrl);
+    if (files.length > 0) {
+      await Media.updateMany({ files: { $in: files } }, { $set: { avatarOf: userId, unreferencedAt: null } });
+    }
+    await markUnreferenced();
+  } catch (error) {
+    console.error(`❌ Could not update avatar media of user ${userId}:`, error);
+  }
+}
+
+// Hand a deleted account's uploads to another user so posts still using them stay manageable
+export async function transferMedia(fromUserId, toUser) {
+  await Media.updateMany({ owner: fromUserId }, { $set: { owner: toUser._id, ownerName: toUser.username } });
+}
+
+// Wrap a MongoDB PostRepository so every write keeps the media references current
+export function trackPostMedia(repo) {
+  return {
+    ...repo,
+
+    async create(data) {
+      const post = await repo.create(data);
+      await syncPostMedia(post);
+      return post;
+    },
+
+    async update(id, changes) {
+      const post = await repo.update(id, changes);
+      if (post) await syncPostMedia(post);
+      return post;
+    },
+
+    async delete(id) {
+      const post = await repo.delete(id);
+      if (post) await releasePostMedia([post._id]);
+      return post;
+    },
+
+    async deleteMany(ids) {
+      const count = await repo.deleteMany(ids);
+      await releasePostMedia(ids);
+      return count;
+    },
+
+    async deleteByAuthor(authorId) {
+      const postIds = await repo.deleteByAuthor(authorId);
+      await releasePostMedia(postIds);
+      return postIds;
+    }
+  };
+}
+
+// Remove a media record and its files from the upload storage; missing files are not an error
+export async function deleteMedia(media, uploadStorage) {
+  await Promise.all(media.files.map(fileName => uploadStorage.delete(fileName)));
+  await Media.deleteOne({ _id: media._id });
+}
+
+// Sweep: rebuild every reference from the posts and avatars themselves, then delete tracked media unused for
+// the grace period and untracked upload files (older uploads, uploads made offline) that nothing mentions and
+// that are older than it. `extraPosts` are posts outside MongoDB whose images must survive (offline writes
+// waiting to be replayed). Needs MongoDB to see every post; resolves to null without it.
+export async function sweepOrphanedMedia({ uploadStorage, extraPosts = [], graceMs = mediaSweepGraceMs() }) {
+  if (!isMongoConnected) return null;
+  const cutoff = new Date(Date.now() - graceMs);
+  const summary = { removed: 0, untracked: 0, freedBytes: 0 };
+
+  const postsByFile = new Map(); // file name -> ids of the MongoDB posts using it
+  const inUse = new Set();
+  const posts = await Post.find(
+    { $or: [{ featuredImage: UPLOAD_URL_PREFIX }, { body: UPLOAD_URL }] },
+    { featuredImage: 1, body: 1 }
+  ).lean();
+  for (const post of posts) {
+    for (const fileName of uploadedFilesIn(post.featuredImage, post.body)) {
+      if (!postsByFile.has(fileName)) postsByFile.set(fileName, new Set());
+      postsByFile.get(fileName).add(String(post._id));
+      inUse.add(fileName);
+    }
+  }
+  extraPosts.forEach(post => uploadedFilesIn(post.featuredImage, post.body).forEach(fileName => inUse.add(fileName)));
+
+  const avatarByFile = new Map();
+  const users = await User.find({ avatarUrl: UPLOAD_URL_PREFIX }, { avatarUrl: 1 }).lean();
+  users.forEach(user => uploadedFilesIn(user.avatarUrl).forEach(fileName => {
+    avatarByFile.set(fileName, user._id);
+    inUse.add(fileName);
+  }));
+
+  const tracked = new Set();
+  for (const media of await Media.find()) {
+    media.files.forEach(fileName => tracked.add(fileName));
+
+    const postIds = new Set(media.files.flatMap(fileName => [...(postsByFile.get(fileName) || [])]));
+    const avatarOf = media.files.map(fileName => avatarByFile.get(fileName)).find(Boolean) || null;
+    media.posts = [...postIds];
+    media.avatarOf = avatarOf;
+
+    if (media.isReferenced() || media.files.some(fileName => inUse.has(fileName))) {
+      media.unreferencedAt = null;
+    } else if (!media.unreferencedAt) {
+      media.unreferencedAt = new Date();
+    } else if (media.unreferencedAt <= cutoff) {
+      await deleteMedia(media, uploadStorage);
+      summary.removed += 1;
+      summary.freedBytes += media.size;
+      continue;
+    }
+    if (media.isModified()) await media.save();
+  }
+
+  for (const file of await uploadStorage.list()) {
+    if (!UPLOAD_FILE_NAME.test(file.name) || tracked.has(file.name) || inUse.has(file.name)) continue;
+    if (file.lastModified > cutoff) continue;
+    await uploadStorage.delete(file.name);
+    summary.untracked += 1;
+    summary.freedBytes += file.size;
+  }
+
+  if (summary.removed > 0 || summary.untracked > 0) {
+    console.log(`🧹 Swept ${summary.removed} unused upload(s) and ${summary.untracked} untracked file(s), ${Math.round(summary.freedBytes / 1024)} KB freed`);
+    await recordAudit({ action: 'media.swept', details: summary, source: 'system' });
+  }
+  return summary;
+}
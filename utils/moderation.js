@@ -0,0 +1,65 @@
+// Comment moderation rules: decide whether a new comment is published, held for review or flagged as spam
+
+export const COMMENT_STATUSES = ['approved', 'pending', 'spam'];
+
+function readList(value) {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function readNumber(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+// Rules are read from the environment so they can be tuned without a deploy
+export function loadModerationConfig(env = process.env) {
+  return {
+    enabled: env.COMMENT_MODERATION !== 'off',
+    newAccountHours: readNumber(env.COMMENT_MODERATION_NEW_ACCOUNT_HOURS, 24),
+    maxLinks: readNumber(env.COMMENT_MODERATION_MAX_LINKS, 0),
+    blockedWords: readList(env.COMMENT_BLOCKED_WORDS)
+  };
+}
+
+// Full URLs are matched first so "https://example.com" counts once
+const LINK_PATTERN = /(?:\bhttps?:\/\/|\bwww\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|ru|cn|xyz|info|biz)\b/gi;
+
+export function countLinks(content) {
+  return (String(content || '').match(LINK_PATTERN) || []).length;
+}
+
+function findBlockedWord(content, blockedWords) {
+  const words = String(content || '').toLowerCase();
+  return blockedWords.find(word => words.includes(word)) || null;
+}
+
+// Returns { status, reason } for a comment written by the given user document
+export function evaluateComment(content, author, config = loadModerationConfig()) {
+  if (!config.enabled || author.role === 'admin') {
+    return { status: 'approved', reason: null };
+  }
+
+  const blocked = findBlockedWord(content, config.blockedWords);
+  if (blocked) {
+    return { status: 'spam', reason: `Contains blocked word "${blocked}"` };
+  }
+
+  const links = countLinks(content);
+  if (links > config.maxLinks) {
+    return { status: 'pending', reason: `Contains ${links} link${links === 1 ? '' : 's'}` };
+  }
+
+  if (author.isVerified === false) {
+    return { status: 'pending', reason: 'Email not verified' };
+  }
+
+  const accountAgeHours = (Date.now() - new Date(author.createdAt).getTime()) / (60 * 60 * 1000);
+  if (accountAgeHours < config.newAccountHours) {
+    return { status: 'pending', reason: 'New account' };
+  }
+
+  return { status: 'approved', reason: null };
+}
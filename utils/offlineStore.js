@@ -0,0 +1,101 @@
+// Durable storage for offline mode: the fallback posts and revisions plus a journal of the writes that still
+// have to be replayed into MongoDB, kept together in one JSON file so they survive a restart
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'publishAt', 'publishedAt', 'at'];
+
+// JSON turns Dates into strings; bring back the ones the app compares and formats
+function reviveDates(record) {
+  DATE_FIELDS.forEach(field => {
+    if (typeof record[field] === 'string') record[field] = new Date(record[field]);
+  });
+  if (record.data) reviveDates(record.data);
+  return record;
+}
+
+export function createOfflineStore(filePath = process.env.OFFLINE_STORE_PATH || './data/offline-store.json') {
+  let journal = [];
+  let conflicts = [];
+  let snapshot = { posts: [], revisions: [] };
+  let writes = Promise.resolve();
+
+  // Write to a temporary file and rename it, so a crash mid-write never leaves a truncated store.
+  // Writes are chained so they land in the order they were made.
+  function persist() {
+    const contents = JSON.stringify({ version: 1, ...snapshot, journal, conflicts }, null, 2);
+    writes = writes
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, contents);
+        await fs.rename(tempPath, filePath);
+      });
+    return writes;
+  }
+
+  return {
+    filePath,
+
+    // Restore what was saved before the last restart; an unreadable file is kept aside, not overwritten
+    async load() {
+      try {
+        const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        snapshot = {
+          posts: (saved.posts || []).map(reviveDates),
+          revisions: (saved.revisions || []).map(reviveDates)
+        };
+        journal = (saved.journal || []).map(reviveDates);
+        conflicts = saved.conflicts || [];
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          const brokenPath = `${filePath}.broken-${Date.now()}`;
+          console.error(`❌ Could not read offline store ${filePath}, moved it to ${brokenPath}:`, error.message);
+          await fs.rename(filePath, brokenPath).catch(() => {});
+        }
+      }
+      return { ...snapshot, journal: [...journal], conflicts: [...conflicts] };
+    },
+
+    // Append a write ({ op: 'create'|'update'|'delete', postId, data, base }) and save the current fallback state
+    async record(entry, state) {
+      journal.push({ id: crypto.randomUUID(), at: new Date(), ...entry });
+      snapshot = state;
+      await persist();
+    },
+
+    // Save the fallback state without journaling a write (e.g. after a replay cleared it)
+    async save(state) {
+      snapshot = state;
+      await persist();
+    },
+
+    pendingWrites() {
+      return [...journal];
+    },
+
+    conflicts() {
+      return [...conflicts];
+    },
+
+    // Point entries that are still pending at the id a post received in MongoDB
+    async remapPost(offlineId, mongoId) {
+      journal.forEach(entry => {
+        if (entry.postId === offlineId) entry.postId = mongoId;
+      });
+      await persist();
+    },
+
+    // Drop a replayed entry; pass a reason to move it to the conflict list instead
+    async settle(entry, state, reason = null) {
+      journal = journal.filter(pending => pending.id !== entry.id);
+      if (reason) {
+        conflicts.push({ ...entry, reason, settledAt: new Date() });
+      }
+      snapshot = state;
+      await persist();
+    }
+  };
+}
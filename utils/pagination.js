@@ -0,0 +1,40 @@
+// Cursor helpers for stable newest-first feeds ordered by (createdAt, _id)
+// The same ordering is used for MongoDB queries and for the in-memory fallback storage.
+
+export function encodeCursor(post) {
+  return Buffer.from(`${new Date(post.createdAt).toISOString()}|${post._id}`).toString('base64url');
+}
+
+export function cursorFromPost(post) {
+  return { createdAt: new Date(post.createdAt), id: String(post._id) };
+}
+
+// Returns { createdAt, id } or null when the cursor is missing or malformed
+export function decodeCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') return null;
+  const [iso, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  const createdAt = new Date(iso);
+  if (!id || Number.isNaN(createdAt.getTime())) return null;
+  return { createdAt, id };
+}
+
+// Comparator matching the MongoDB sort { createdAt: -1, _id: -1 }
+export function compareNewestFirst(a, b) {
+  const diff = new Date(b.createdAt) - new Date(a.createdAt);
+  if (diff !== 0) return diff;
+  const idA = String(a._id);
+  const idB = String(b._id);
+  return idA === idB ? 0 : (idB < idA ? -1 : 1);
+}
+
+export function isOlderThan(post, cursor) {
+  const time = new Date(post.createdAt).getTime();
+  const cursorTime = cursor.createdAt.getTime();
+  return time < cursorTime || (time === cursorTime && String(post._id) < cursor.id);
+}
+
+export function isNewerThan(post, cursor) {
+  const time = new Date(post.createdAt).getTime();
+  const cursorTime = cursor.createdAt.getTime();
+  return time > cursorTime || (time === cursorTime && String(post._id) > cursor.id);
+}
@@ -0,0 +1,57 @@
+// Who may see and change a post, and the draft/scheduled/published lifecycle rules
+import { POST_STATUSES } from "../models/Post.js";
+
+// Check if a session user may modify a post (admin or post owner)
+export function isPostOwner(user, post) {
+  if (!user || !post) return false;
+  if (user.role === 'admin') return true;
+  return !!post.author && post.author.toString() === String(user.id);
+}
+
+// Only published posts appear in the feed, categories, search and the public API (see repositories/posts.js)
+export function isPublished(post) {
+  return (post.status || 'published') === 'published';
+}
+
+// Drafts, scheduled and archived posts are only visible to their author and admins
+export function canViewPost(user, post) {
+  return isPublished(post) || isPostOwner(user, post);
+}
+
+// A datetime-local value ("2030-01-01T09:00") has no timezone, so the forms send the browser's
+// getTimezoneOffset() for that moment along with it. Values carrying Z or an offset, as API clients send, are
+// read as written; anything else without an offset (a form posted with JavaScript off) is read as UTC.
+export function parsePublishAt(value, offsetMinutes) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/(?:Z|[+-]\d{2}:?\d{2})$/i.test(text)) return new Date(text);
+  const offset = Number.parseInt(offsetMinutes, 10);
+  const asUtc = new Date(`${text}Z`);
+  return Number.isFinite(offset) && Math.abs(offset) <= 14 * 60
+    ? new Date(asUtc.getTime() + offset * 60000)
+    : asUtc;
+}
+
+// Validate a requested status/publishAt pair; returns the fields to store or { error }
+export function resolvePublishState(status, publishAt, current = {}) {
+  const nextStatus = status || current.status || 'published';
+  if (!POST_STATUSES.includes(nextStatus)) {
+    return { error: `Status must be one of: ${POST_STATUSES.join(', ')}` };
+  }
+
+  const state = { status: nextStatus, publishAt: null };
+  if (nextStatus === 'scheduled') {
+    const date = publishAt ? new Date(publishAt) : current.publishAt;
+    if (!date || Number.isNaN(new Date(date).getTime())) {
+      return { error: 'Scheduled posts need a valid publish date' };
+    }
+    if (new Date(date) <= new Date()) {
+      return { error: 'The publish date must be in the future' };
+    }
+    state.publishAt = new Date(date);
+  }
+  if (nextStatus === 'published' && !current.publishedAt) {
+    state.publishedAt = new Date();
+  }
+  return state;
+}
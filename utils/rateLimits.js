@@ -0,0 +1,55 @@
+// Rate limiters. Each app gets its own counters, so separate apps (e.g. in tests) never share a budget.
+import rateLimit from "express-rate-limit";
+
+export function createRateLimiters() {
+  const generalLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 requests per windowMs
+    message: 'Too many requests from this IP, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => req.path === '/api/v1/markdown/preview' // has its own previewLimiter
+  });
+
+  const postLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 50, // limit each IP to 50 post creations per hour (increased for testing)
+    message: 'Too many posts created from this IP, please try again in an hour.',
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+
+  const uploadLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // limit each IP to 10 uploads per hour
+    message: 'Too many file uploads from this IP, please try again in an hour.',
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+
+  const previewLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 300, // live preview fires while typing (debounced client-side)
+    message: { error: 'Too many preview requests, please slow down.' },
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+
+  const setupLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // guessing the admin setup token should be slow
+    message: 'Too many admin setup attempts, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+
+  const accountEmailLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // password reset and verification emails per IP
+    message: 'Too many email requests from this IP, please try again in an hour.',
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+
+  return { generalLimiter, postLimiter, uploadLimiter, previewLimiter, setupLimiter, accountEmailLimiter };
+}
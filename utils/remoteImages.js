@@ -0,0 +1,150 @@
+// Remote images: rather than hot-linking a URL an author pastes (which shows readers' IP addresses to whoever hosts
+// it), the server downloads the image once and stores it through the upload pipeline. Downloads are limited in size,
+// time and redirects, and refused for anything that resolves to a loopback, private or otherwise internal address,
+// so the feature cannot be used to reach the server's own network.
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import path from "path";
+
+const MAX_BYTES = 5 * 1024 * 1024; // same limit as uploads
+const TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+
+// Content types worth downloading; the pipeline then checks the bytes themselves
+const ACCEPTED_TYPE = /^(image\/|application\/octet-stream|binary\/octet-stream)/i;
+
+// Special-purpose ranges (RFC 6890 and friends): nothing here is a public image host
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64], ['2001::', 23], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Errors carry a 400 status so Express answers the form as a bad request
+function remoteImageError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Hosts that may be fetched even though they resolve to internal addresses (an intranet CDN, the test server)
+function allowedInternalHosts() {
+  return (process.env.REMOTE_IMAGE_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+// dns.lookup() that refuses internal addresses; the check happens on the address actually connected to, so
+// a host cannot pass with a public address and then resolve to an internal one (DNS rebinding)
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!allowedInternalHosts().includes(hostname.toLowerCase()) &&
+        addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(remoteImageError('That image URL points to a private network address.'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function parseImageUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw remoteImageError('The featured image must be a valid URL.');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw remoteImageError('Only http and https image URLs can be used.');
+  }
+  if (url.username || url.password) {
+    throw remoteImageError('Image URLs with a username or password cannot be used.');
+  }
+  // Literal addresses never go through the lookup, so they are checked here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (isBlockedAddress(host) && !allowedInternalHosts().includes(host.toLowerCase())) {
+    throw remoteImageError('That image URL points to a private network address.');
+  }
+  return url;
+}
+
+function get(url, signal) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, {
+      lookup: guardedLookup,
+      signal,
+      headers: { 'Accept': 'image/*', 'User-Agent': 'PurposeAndPerspective-ImageFetcher/1.0' }
+    }, resolve);
+    request.on('error', reject);
+  });
+}
+
+async function readBody(response, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      response.destroy();
+      throw remoteImageError(`The image is larger than ${Math.round(maxBytes / (1024 * 1024))}MB.`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Download an image; resolves to { buffer, url, fileName } where url is the address after redirects
+export async function fetchRemoteImage(value, { maxBytes = MAX_BYTES, timeoutMs = TIMEOUT_MS } = {}) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let url = parseImageUrl(value);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const response = await get(url, signal);
+      const { statusCode, headers } = response;
+
+      if ([301, 302, 303, 307, 308].includes(statusCode) && headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          throw remoteImageError('The image URL redirects too many times.');
+        }
+        url = parseImageUrl(new URL(headers.location, url).href);
+        continue;
+      }
+      if (statusCode !== 200) {
+        response.resume();
+        throw remoteImageError(`The image could not be downloaded (HTTP ${statusCode}).`);
+      }
+      if (headers['content-type'] && !ACCEPTED_TYPE.test(headers['content-type'])) {
+        response.resume();
+        throw remoteImageError('That URL does not point to an image.');
+      }
+      if (Number(headers['content-length']) > maxBytes) {
+        response.resume();
+        throw remoteImageError(`The image is larger than ${Math.round(maxBytes / (1024 * 1024))}MB.`);
+      }
+
+      const buffer = await readBody(response, maxBytes);
+      return { buffer, url: url.href, fileName: path.posix.basename(url.pathname) || url.hostname };
+    }
+  } catch (error) {
+    if (error.status) throw error;
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      throw remoteImageError('The image took too long to download.');
+    }
+    console.error(`❌ Could not fetch remote image ${url.href}:`, error.message);
+    throw remoteImageError('The image could not be downloaded. Check the URL and try again.');
+  }
+}
@@ -0,0 +1,69 @@
+// Post revision history
+// Every edit stores a snapshot of the edited fields; the pre-edit state becomes revision 1 on the first edit
+import { diffLines } from "diff";
+import { REVISION_FIELDS } from "../models/PostRevision.js";
+
+export function snapshotPost(post) {
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    snapshot[field] = field === 'tags' ? [...(post.tags || [])] : (post[field] ?? null);
+  });
+  return snapshot;
+}
+
+export function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Record a revision for an edit; failures are logged but never block the edit itself
+export async function recordRevision(repo, post, previousSnapshot, user, { restoredFrom = null } = {}) {
+  const currentSnapshot = snapshotPost(post);
+  const changedFields = REVISION_FIELDS.filter(field => !sameValue(previousSnapshot[field], currentSnapshot[field]));
+  if (changedFields.length === 0) return null;
+
+  try {
+    const postId = String(post._id);
+    const existing = await repo.listRevisions(postId);
+    let latest = existing.length > 0 ? existing[0].revision : 0;
+
+    if (latest === 0) {
+      // Baseline: the post as it was before its first recorded edit
+      await repo.addRevision({
+        postId,
+        revision: 1,
+        author: { userId: String(post.author || 'unknown'), username: post.authorName || 'Unknown' },
+        changedFields: [],
+        snapshot: previousSnapshot,
+        createdAt: post.createdAt || new Date()
+      });
+      latest = 1;
+    }
+
+    return await repo.addRevision({
+      postId,
+      revision: latest + 1,
+      author: { userId: String(user.id), username: user.username },
+      changedFields,
+      restoredFrom,
+      snapshot: currentSnapshot
+    });
+  } catch (err) {
+    console.error("Error recording post revision:", err);
+    return null;
+  }
+}
+
+// Line-by-line diff of one field between two snapshots
+export function diffField(field, before, after) {
+  // Normalise line endings and the trailing newline so only real changes show up
+  const toText = (value) => {
+    const text = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+    return text.replace(/\r\n/g, '\n').replace(/\n?$/, '\n');
+  };
+  const lines = [];
+  diffLines(toText(before), toText(after)).forEach(part => {
+    const type = part.added ? 'added' : part.removed ? 'removed' : 'unchanged';
+    part.value.replace(/\n$/, '').split('\n').forEach(text => lines.push({ type, text }));
+  });
+  return { field, lines };
+}
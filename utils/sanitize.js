@@ -0,0 +1,35 @@
+// XSS sanitization for user-supplied post fields, shared by the HTML forms and the JSON API
+import xss from "xss";
+
+export function sanitizeInput(input) {
+  if (!input) return input;
+  return xss(input, {
+    whiteList: {
+      p: [],
+      br: [],
+      strong: [],
+      em: [],
+      u: [],
+      ol: [],
+      ul: [],
+      li: [],
+      h1: [],
+      h2: [],
+      h3: [],
+      h4: [],
+      h5: [],
+      h6: [],
+      blockquote: []
+    },
+    stripIgnoreTag: true,
+    stripIgnoreTagBody: ['script', 'style']
+  });
+}
+
+// Form fields such as titles, excerpts and tags are stored HTML-escaped (express-validator's escape()); this turns
+// them back into plain text for places that are not HTML, like feeds, slugs and meta tags (which EJS escapes again)
+const ESCAPED_ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#x27;': "'", '&#39;': "'", '&#x2F;': '/', '&#96;': '`', '&amp;': '&' };
+
+export function unescapeInput(value) {
+  return String(value ?? '').replace(/&(?:lt|gt|quot|amp|#x27|#39|#x2F|#96);/g, entity => ESCAPED_ENTITIES[entity]);
+}
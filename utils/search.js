@@ -0,0 +1,107 @@
+// Search helpers shared by the MongoDB text index and the in-memory fallback ranking
+import { markdownToPlainText } from "./markdown.js";
+import { unescapeInput } from "./sanitize.js";
+
+// Relative field weights, used both for the MongoDB text index and the fallback scorer
+export const SEARCH_WEIGHTS = {
+  title: 10,
+  tags: 5,
+  excerpt: 3,
+  body: 1
+};
+
+const MAX_TERMS = 10;
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Case-insensitive "contains" match, used by the admin list filters
+export function containsPattern(text) {
+  return new RegExp(escapeRegex(String(text).trim().slice(0, 100)), 'i');
+}
+
+// Split a raw query into unique, lowercased search terms (quotes and operators are ignored)
+export function parseSearchTerms(query) {
+  const words = String(query || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  return [...new Set(words.filter(word => word.length >= 2))].slice(0, MAX_TERMS);
+}
+
+function termPattern(terms) {
+  return new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'giu');
+}
+
+function countMatches(text, pattern) {
+  if (!text) return 0;
+  return (String(text).match(pattern) || []).length;
+}
+
+// Weighted term-frequency score used when MongoDB (and its text index) is unavailable
+export function scorePost(post, terms) {
+  if (terms.length === 0) return 0;
+  const pattern = termPattern(terms);
+  return (
+    countMatches(post.title, pattern) * SEARCH_WEIGHTS.title +
+    countMatches((post.tags || []).join(' '), pattern) * SEARCH_WEIGHTS.tags +
+    countMatches(post.excerpt, pattern) * SEARCH_WEIGHTS.excerpt +
+    countMatches(markdownToPlainText(post.body), pattern) * SEARCH_WEIGHTS.body
+  );
+}
+
+// Escape text for HTML and wrap every matched term in <mark>
+export function highlight(text, terms) {
+  if (terms.length === 0) return escapeHtml(text);
+  return String(text)
+    .split(termPattern(terms))
+    .map((part, index) => index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+    .join('');
+}
+
+// Build a highlighted excerpt centred on the first match in the post body (Markdown source)
+export function buildSnippet(source, terms, length = 200) {
+  const plain = markdownToPlainText(source);
+  if (plain.length <= length) return highlight(plain, terms);
+
+  const firstMatch = terms.length > 0 ? plain.search(termPattern(terms)) : -1;
+  const start = firstMatch > 60 ? firstMatch - 60 : 0;
+  const end = Math.min(plain.length, start + length);
+
+  return (start > 0 ? '… ' : '') + highlight(plain.slice(start, end), terms) + (end < plain.length ? ' …' : '');
+}
+
+// Full-text search: MongoDB text index when connected, weighted term matching over the offline posts otherwise
+export const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_QUERY_LENGTH = 100;
+
+// Ranked, highlighted results for one page of a query against a post repository
+export async function runSearch(repo, query, page) {
+  const terms = parseSearchTerms(query);
+  if (terms.length === 0) {
+    return { terms, results: [], total: 0 };
+  }
+
+  const { ranked, total } = await repo.search(query, { page, limit: SEARCH_PAGE_SIZE });
+
+  const results = ranked.map(({ post, score }) => ({
+    post,
+    score,
+    titleHtml: highlight(unescapeInput(post.title), terms), // titles are stored escaped; highlight() escapes them once
+    snippet: buildSnippet(post.body, terms)
+  }));
+  return { terms, results, total };
+}
+
+export function readSearchParams(req) {
+  const query = String(req.query.q || '').trim().slice(0, MAX_SEARCH_QUERY_LENGTH);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  return { query, page };
+}
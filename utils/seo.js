@@ -0,0 +1,59 @@
+// Search engines and link previews: /sitemap.xml, /robots.txt and absolute URLs for meta tags.
+// Per-page canonical, Open Graph and Twitter card tags are rendered by views/partials/meta-tags.ejs.
+import { postPath } from "./slugs.js";
+
+// One sitemap file may list at most 50,000 URLs
+export const SITEMAP_SIZE = 50000;
+
+export function xmlEscape(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// `base` is siteUrl(req) from feeds.js; relative URLs such as /media images become absolute, absolute ones are left alone
+export function absoluteUrl(base, url) {
+  return url && url.startsWith('/') && !url.startsWith('//') ? base + url : url;
+}
+
+function lastModified(post) {
+  return new Date(post.updatedAt || post.publishedAt || post.createdAt);
+}
+
+// The home page, each category page and every published post, newest first
+export function renderSitemap(base, posts, categories) {
+  const newest = posts.length > 0 ? lastModified(posts[0]) : null;
+  const url = (loc, lastmod) => '  <url>\n' +
+    `    <loc>${xmlEscape(base + loc)}</loc>\n` +
+    (lastmod ? `    <lastmod>${lastmod.toISOString()}</lastmod>\n` : '') +
+    '  </url>';
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    url('/', newest),
+    ...categories.map(category => url(`/?category=${encodeURIComponent(category)}`, null)),
+    ...posts.map(post => url(postPath(post), lastModified(post))),
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+// Pages behind a login, forms and one-time links are of no use in search results
+const DISALLOWED_PATHS = [
+  '/admin', '/admin-setup', '/api/', '/compose', '/drafts', '/settings', '/login', '/signup', '/forgot-password',
+  '/reset-password/', '/verify-email/', '/unlock-account/', '/search', '/posts/*/edit', '/posts/*/history'
+];
+
+export function renderRobots(base) {
+  return [
+    'User-agent: *',
+    ...DISALLOWED_PATHS.map(path => `Disallow: ${path}`),
+    '',
+    `Sitemap: ${base}/sitemap.xml`,
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,40 @@
+// Human-readable post addresses: /posts/a-quiet-morning rather than an ObjectId or offline UUID.
+// Slugs follow the title and are unique among current and previous slugs; a renamed post keeps its old slugs,
+// so links to them redirect to the new one instead of breaking.
+import { unescapeInput } from "./sanitize.js";
+
+const MAX_SLUG_LENGTH = 80;
+
+export function slugify(title) {
+  const slug = unescapeInput(title)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // accents: café -> cafe
+    .toLowerCase()
+    .replace(/['\u2019]/g, '') // apostrophes: don't -> dont
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+  return slug || 'post';
+}
+
+// a-title, a-title-2, a-title-3...; each repository takes the first one no other post has used
+export function* slugCandidates(title) {
+  const base = slugify(title);
+  yield base;
+  for (let n = 2; ; n++) {
+    yield `${base}-${n}`;
+  }
+}
+
+// The slug fields after a post's slug becomes `slug`: the old one is kept for redirects, and a post renamed back
+// reclaims its earlier slug
+export function renameSlug(post, slug) {
+  const previousSlugs = (post.previousSlugs || []).filter(previous => previous !== slug);
+  if (post.slug && post.slug !== slug) previousSlugs.push(post.slug);
+  return { slug, previousSlugs };
+}
+
+// Where a post is read; posts from before slugs existed fall back to their id
+export function postPath(post) {
+  return `/posts/${post.slug || post._id}`;
+}
@@ -0,0 +1,66 @@
+// Signed, expiring tokens for links sent by email (verification, password reset, account unlock)
+//
+// A token is `<payload>.<signature>`: the base64url JSON payload carries the purpose, user id, expiry and a
+// stamp derived from the user's current state, and the HMAC signature stops anyone from forging one.
+// Because the stamp changes once the link has done its job (the password hash changes, the email is
+// verified, the lock is lifted), every link works only once without storing tokens in the database.
+import crypto from 'crypto';
+
+export const TOKEN_LIFETIMES = {
+  'verify-email': 24 * 60 * 60 * 1000, // 24 hours
+  'reset-password': 60 * 60 * 1000, // 1 hour
+  'unlock-account': 24 * 60 * 60 * 1000 // 24 hours
+};
+
+function secret() {
+  return process.env.TOKEN_SECRET || process.env.SESSION_SECRET || 'your-fallback-secret-key-change-in-production';
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret()).update(data).digest('base64url');
+}
+
+// What the token is bound to, per purpose
+const STAMPS = {
+  'verify-email': (user) => `${user.email}|${user.isVerified}`,
+  'reset-password': (user) => `${user.password}`,
+  'unlock-account': (user) => `${user.lockedUntil ? new Date(user.lockedUntil).getTime() : ''}`
+};
+
+function userStamp(purpose, user) {
+  const state = STAMPS[purpose](user);
+  return sign(`${purpose}|${user._id}|${state}`).slice(0, 16);
+}
+
+export function createSignedToken(purpose, user, now = Date.now()) {
+  const payload = Buffer.from(JSON.stringify({
+    p: purpose,
+    u: String(user._id),
+    e: now + TOKEN_LIFETIMES[purpose],
+    s: userStamp(purpose, user)
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns the user id for a well-formed, correctly signed, unexpired token of this purpose, else null
+export function readSignedToken(token, purpose, now = Date.now()) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (data.p !== purpose || typeof data.e !== 'number' || data.e < now) return null;
+    return { userId: data.u, stamp: data.s };
+  } catch {
+    return null;
+  }
+}
+
+// Second half of the check, once the user has been loaded
+export function tokenMatchesUser(claims, purpose, user) {
+  return !!claims && !!user && claims.stamp === userStamp(purpose, user);
+}
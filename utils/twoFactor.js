@@ -0,0 +1,48 @@
+// Two-factor authentication helpers: TOTP secrets (RFC 6238, via otplib), enrollment QR codes and recovery codes
+import crypto from 'crypto';
+import { authenticator } from 'otplib';
+import QRCode from 'qrcode';
+
+export const TWO_FACTOR_ISSUER = 'Purpose & Perspective';
+export const RECOVERY_CODE_COUNT = 10;
+const TOTP_STEP_SECONDS = 30;
+
+// Accept the previous and next step as well, to allow for clock drift on the phone
+authenticator.options = { step: TOTP_STEP_SECONDS, window: 1 };
+
+// Admins must enrol before using the admin tools unless REQUIRE_ADMIN_2FA=off
+export function isAdminTwoFactorRequired(env = process.env) {
+  return env.REQUIRE_ADMIN_2FA !== 'off';
+}
+
+export function generateTwoFactorSecret() {
+  return authenticator.generateSecret();
+}
+
+export async function enrollmentQrCode(username, secret) {
+  const uri = authenticator.keyuri(username, TWO_FACTOR_ISSUER, secret);
+  return { uri, dataUrl: await QRCode.toDataURL(uri, { margin: 1, width: 220 }) };
+}
+
+// Returns the time step the code belongs to (so a code cannot be replayed), or null when it does not match
+export function verifyTotp(code, secret) {
+  const token = String(code || '').replace(/\s+/g, '');
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return null;
+  return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+}
+
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+// Recovery codes are random, so a plain SHA-256 is enough (and avoids ten bcrypt compares per attempt)
+export function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
@@ -0,0 +1,257 @@
+// Where uploaded files live, chosen by UPLOAD_STORAGE:
+//   local  - a directory on disk, UPLOADS_DIR (default public/uploads)
+//   gridfs - MongoDB GridFS, in the `uploads` bucket of the app's database
+//   s3     - an S3-compatible bucket: S3_BUCKET, S3_REGION, and S3_ENDPOINT for services other than AWS
+// Every backend passes tests/contracts/uploadStorage.test.js and offers the same methods:
+//
+//   put(name, buffer, { contentType })   store a file, replacing one with the same name
+//   stat(name)                           { name, size, contentType, lastModified, etag } or null
+//   read(name)                           a readable stream of the file's bytes
+//   delete(name)                         remove a file; missing files are not an error
+//   list()                               [{ name, size, lastModified }] for every stored file
+//
+// Names are plain file names (the image pipeline generates them); anything with a path in it is refused.
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+export const DEFAULT_UPLOADS_DIR = fileURLToPath(new URL('../public/uploads/', import.meta.url));
+
+const FILE_NAME = /^[\w-][\w.-]*$/;
+
+const CONTENT_TYPES = {
+  '.webp': 'image/webp',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+export function isStorableName(name) {
+  return typeof name === 'string' && FILE_NAME.test(name) && !name.includes('..');
+}
+
+function checkName(name) {
+  if (!isStorableName(name)) {
+    throw new Error(`Invalid upload name "${name}"`);
+  }
+}
+
+function contentTypeFor(name) {
+  return CONTENT_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+}
+
+// Errors carry a 503 status so Express answers with "Service Unavailable" while the backend is unreachable
+function unavailable(message) {
+  const error = new Error(message);
+  error.status = 503;
+  return error;
+}
+
+const backends = {
+  local: ({ dir }) => ({
+    async put(name, buffer) {
+      checkName(name);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, name), buffer);
+    },
+
+    async stat(name) {
+      if (!isStorableName(name)) return null;
+      const stats = await fs.stat(path.join(dir, name)).catch(() => null);
+      if (!stats || !stats.isFile()) return null;
+      return {
+        name,
+        size: stats.size,
+        contentType: contentTypeFor(name),
+        lastModified: stats.mtime,
+        etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`
+      };
+    },
+
+    read(name) {
+      checkName(name);
+      return createReadStream(path.join(dir, name));
+    },
+
+    async delete(name) {
+      checkName(name);
+      await fs.rm(path.join(dir, name), { force: true });
+    },
+
+    async list() {
+      const names = await fs.readdir(dir).catch(() => []);
+      const files = [];
+      for (const name of names) {
+        const stats = await fs.stat(path.join(dir, name)).catch(() => null);
+        if (stats && stats.isFile()) {
+          files.push({ name, size: stats.size, lastModified: stats.mtime });
+        }
+      }
+      return files;
+    }
+  }),
+
+  // Uses whatever connection mongoose has; while MongoDB is down every call fails with a 503
+  gridfs: ({ bucketName }) => {
+    function bucket() {
+      if (mongoose.connection.readyState !== 1) {
+        throw unavailable('Uploads are stored in MongoDB, which is unavailable right now.');
+      }
+      return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+    }
+
+    async function findFiles(gridfs, name) {
+      return gridfs.find({ filename: name }).sort({ uploadDate: -1 }).toArray();
+    }
+
+    return {
+      async put(name, buffer, { contentType = contentTypeFor(name) } = {}) {
+        checkName(name);
+        const gridfs = bucket();
+        const previous = await findFiles(gridfs, name);
+        await pipeline(Readable.from([buffer]), gridfs.openUploadStream(name, { metadata: { contentType } }));
+        await Promise.all(previous.map(file => gridfs.delete(file._id)));
+      },
+
+      async stat(name) {
+        if (!isStorableName(name)) return null;
+        const [file] = await findFiles(bucket(), name);
+        if (!file) return null;
+        return {
+          name,
+          size: file.length,
+          contentType: (file.metadata && file.metadata.contentType) || contentTypeFor(name),
+          lastModified: file.uploadDate,
+          etag: `"${file._id}"`
+        };
+      },
+
+      read(name) {
+        checkName(name);
+        return bucket().openDownloadStreamByName(name);
+      },
+
+      async delete(name) {
+        checkName(name);
+        const gridfs = bucket();
+        await Promise.all((await findFiles(gridfs, name)).map(file => gridfs.delete(file._id)));
+      },
+
+      async list() {
+        const files = await bucket().find({}, { projection: { filename: 1, length: 1, uploadDate: 1 } }).toArray();
+        return files.map(file => ({ name: file.filename, size: file.length, lastModified: file.uploadDate }));
+      }
+    };
+  },
+
+  // The SDK is only loaded when this backend is chosen
+  s3: ({ s3 }) => {
+    if (!s3.bucket) {
+      throw new Error('UPLOAD_STORAGE=s3 requires S3_BUCKET');
+    }
+    let sdk;
+    let client;
+    async function connect() {
+      if (!client) {
+        sdk = await import('@aws-sdk/client-s3');
+        client = new sdk.S3Client({
+          region: s3.region,
+          endpoint: s3.endpoint,
+          forcePathStyle: s3.forcePathStyle,
+          credentials: s3.accessKeyId ? { accessKeyId: s3.accessKeyId, secretAccessKey: s3.secretAccessKey } : undefined,
+          // Checksums only where S3 demands them, which S3-compatible services do not all understand
+          requestChecksumCalculation: 'WHEN_REQUIRED',
+          responseChecksumValidation: 'WHEN_REQUIRED'
+        });
+      }
+      return { sdk, client };
+    }
+
+    const key = (name) => s3.prefix + name;
+    const isMissing = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+      (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+    return {
+      async put(name, buffer, { contentType = contentTypeFor(name) } = {}) {
+        checkName(name);
+        const { sdk, client } = await connect();
+        await client.send(new sdk.PutObjectCommand({ Bucket: s3.bucket, Key: key(name), Body: buffer, ContentType: contentType }));
+      },
+
+      async stat(name) {
+        if (!isStorableName(name)) return null;
+        const { sdk, client } = await connect();
+        try {
+          const head = await client.send(new sdk.HeadObjectCommand({ Bucket: s3.bucket, Key: key(name) }));
+          return {
+            name,
+            size: head.ContentLength,
+            contentType: head.ContentType || contentTypeFor(name),
+            lastModified: head.LastModified,
+            etag: head.ETag
+          };
+        } catch (error) {
+          if (isMissing(error)) return null;
+          throw error;
+        }
+      },
+
+      // Resolves lazily so callers can pipe it like the other backends' streams
+      read(name) {
+        checkName(name);
+        return Readable.from((async function* () {
+          const { sdk, client } = await connect();
+          const object = await client.send(new sdk.GetObjectCommand({ Bucket: s3.bucket, Key: key(name) }));
+          yield* object.Body;
+        })());
+      },
+
+      async delete(name) {
+        checkName(name);
+        const { sdk, client } = await connect();
+        await client.send(new sdk.DeleteObjectCommand({ Bucket: s3.bucket, Key: key(name) }));
+      },
+
+      async list() {
+        const { sdk, client } = await connect();
+        const files = [];
+        let ContinuationToken;
+        do {
+          const page = await client.send(new sdk.ListObjectsV2Command({ Bucket: s3.bucket, Prefix: s3.prefix, ContinuationToken }));
+          for (const object of page.Contents || []) {
+            files.push({ name: object.Key.slice(s3.prefix.length), size: object.Size, lastModified: object.LastModified });
+          }
+          ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return files;
+      }
+    };
+  }
+};
+
+export function createUploadStorage(env = process.env) {
+  const name = env.UPLOAD_STORAGE || 'local';
+  const factory = backends[name];
+  if (!factory) {
+    throw new Error(`Unknown UPLOAD_STORAGE "${name}"`);
+  }
+  const storage = factory({
+    dir: env.UPLOADS_DIR || DEFAULT_UPLOADS_DIR,
+    bucketName: env.GRIDFS_BUCKET || 'uploads',
+    s3: {
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || 'us-east-1',
+      endpoint: env.S3_ENDPOINT || undefined,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true' || !!env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      prefix: env.S3_PREFIX ?? 'uploads/'
+    }
+  });
+  return { backendName: name, ...storage };
+}
@@ -0,0 +1,82 @@
+// Uploaded images: multer keeps them in memory after checking type and filename, then the image pipeline
+// (utils/images.js) checks the content and stores resized WebP variants in the upload storage (utils/uploadStorage.js)
+import multer from "multer";
+import path from "path";
+import { saveImageVariants, isUploadUrl } from "./images.js";
+import { recordUpload } from "./media.js";
+import { fetchRemoteImage } from "./remoteImages.js";
+
+// Nothing is stored until the pipeline has verified and re-encoded the file
+const storage = multer.memoryStorage();
+
+// Enhanced file filter with security checks
+const fileFilter = (req, file, cb) => {
+  // Allow only specific image types
+  const allowedMimes = [
+    'image/jpeg',
+    'image/jpg', 
+    'image/png',
+    'image/webp',
+    'image/gif'
+  ];
+  
+  // Check MIME type
+  if (!allowedMimes.includes(file.mimetype)) {
+    return cb(new Error('Only JPEG, PNG, WebP, and GIF images are allowed!'), false);
+  }
+  
+  // Check file extension
+  const allowedExts = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+  const ext = path.extname(file.originalname).toLowerCase();
+  
+  if (!allowedExts.includes(ext)) {
+    return cb(new Error('Invalid file extension!'), false);
+  }
+  
+  // Additional security: check for suspicious filenames
+  if (file.originalname.includes('..') || file.originalname.includes('/') || file.originalname.includes('\\')) {
+    return cb(new Error('Invalid filename!'), false);
+  }
+  
+  cb(null, true);
+};
+
+export const upload = multer({ 
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1, // Only 1 file per request
+    fields: 10 // Limit number of form fields
+  }
+});
+
+// Store an uploaded file through the image pipeline; resolves to what saveImageVariants() describes
+export function saveUploadedImage(file, uploadStorage) {
+  return saveImageVariants(file.buffer, uploadStorage);
+}
+
+// Download a remote image and store it through the image pipeline, like an upload
+export async function saveRemoteImage(url, uploadStorage) {
+  const remote = await fetchRemoteImage(url);
+  const image = await saveImageVariants(remote.buffer, uploadStorage);
+  return { ...image, originalName: remote.fileName };
+}
+
+// Featured images are only ever served from this site: upload URLs are kept, anything else is downloaded into the
+// user's media library. `current` is the post's featured image before the edit; one hot-linked before downloads
+// existed is imported when it still can be and otherwise left alone, so it never blocks an unrelated edit.
+export async function importFeaturedImage(url, { uploadStorage, user, current = null }) {
+  if (isUploadUrl(url)) return url;
+  try {
+    const image = await saveRemoteImage(url, uploadStorage);
+    await recordUpload(image, user, image.originalName);
+    return image.url;
+  } catch (error) {
+    if (error.status === 400 && url === current) {
+      console.warn(`⚠️ Kept hot-linked featured image ${url}: ${error.message}`);
+      return url;
+    }
+    throw error;
+  }
+}